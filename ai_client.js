@@ -0,0 +1,122 @@
+// ai_client.js
+//
+// The page's side of ai_worker.js: a solver kept in step with the game in a Web Worker,
+// behind methods that return Promises. Requests are answered in the order they
+// are sent, so a move requested after some knowledge was added takes it into account.
+
+const AI_WORKER_URL = 'ai_worker.js';
+
+class AiWorkerClient {
+    constructor(workerUrl = AI_WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.nextId = 1;
+        this.pending = new Map(); // Request id -> { resolve, reject }
+        this.state = null;        // Last init() snapshot, and the knowledge added since,
+        this.knowledge = [];      // to bring a replacement worker up to date after cancel()
+        this.failed = false;      // Set if the worker couldn't be loaded, crashed or was closed
+        this._startWorker();
+    }
+
+    // True while a request hasn't been answered
+    get busy() {
+        return this.pending.size > 0;
+    }
+
+    // Replace the worker's solver with a snapshot from its to_json()
+    init(state) {
+        this.state = state;
+        this.knowledge = [];
+        return this._request('init', { state });
+    }
+
+    // cells is a list of [cell, count], one for each newly revealed cell
+    addKnowledge(cells) {
+        this.knowledge.push(...cells);
+        return this._request('addKnowledge', { cells });
+    }
+
+    // Resolves to the solver's proposal for its next move, with the cell it would play
+    // (see propose_move() in solvers.js)
+    requestMove() {
+        return this._request('requestMove');
+    }
+
+    // Resolves to the worker solver's to_json()
+    getState() {
+        return this._request('getState');
+    }
+
+    // Abandon every request in progress: they reject with an error whose cancelled
+    // property is true. The busy worker is stopped and a fresh one is brought up to date.
+    cancel() {
+        this.worker.terminate();
+        this._rejectAll(Object.assign(new Error('AI request cancelled'), { cancelled: true }));
+        this._startWorker();
+        if (this.state) {
+            // Failures show up as this.failed and in the next request
+            this._request('init', { state: this.state }).catch(() => {});
+            if (this.knowledge.length > 0) {
+                this._request('addKnowledge', { cells: this.knowledge }).catch(() => {});
+            }
+        }
+    }
+
+    // Stop the worker for good, e.g. once the game it follows is over. Requests in
+    // progress reject as for cancel().
+    close() {
+        this.worker.terminate();
+        this.failed = true; // Nothing more can be asked
+        this._rejectAll(Object.assign(new Error('AI worker closed'), { cancelled: true }));
+    }
+
+    _startWorker() {
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = ({ data }) => {
+            const request = this.pending.get(data.id);
+            if (!request) return; // Answer to a request made before cancel()
+            this.pending.delete(data.id);
+            if ('error' in data) {
+                request.reject(new Error(data.error));
+            } else {
+                request.resolve(data.result);
+            }
+        };
+        // The script failed to load, or threw outside a request
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.failed = true;
+            this._rejectAll(new Error(`AI worker failed: ${event.message || 'could not be loaded'}`));
+        };
+    }
+
+    _request(type, message = {}) {
+        if (this.failed) {
+            return Promise.reject(new Error('AI worker failed'));
+        }
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...message });
+        });
+    }
+
+    _rejectAll(error) {
+        const requests = Array.from(this.pending.values());
+        this.pending.clear();
+        for (const { reject } of requests) {
+            reject(error);
+        }
+    }
+}
+
+// An AiWorkerClient, or null if this browser can't run one (no Worker support, or
+// workers aren't allowed for pages opened straight from disk)
+function createAiClient() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        return new AiWorkerClient();
+    } catch (error) {
+        console.warn('AI worker unavailable, thinking on the main thread instead:', error);
+        return null;
+    }
+}
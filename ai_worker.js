@@ -0,0 +1,50 @@
+// ai_worker.js
+//
+// Runs a copy of the game's solver (see solvers.js) in a Web Worker, so the slow part of
+// choosing a move (weighing up every arrangement of mines) doesn't freeze the page.
+// ai_client.js is the other end: each message is { id, type, ...arguments } and gets
+// back { id, result } or { id, error }.
+
+importScripts('topology.js', 'minesweeper_logic.js', 'solvers.js');
+
+let solver = null;
+
+const handlers = {
+    // Start over from a solver's to_json() snapshot
+    init({ state }) {
+        solver = solver_from_json(state);
+        return null;
+    },
+
+    // cells is a list of [cell, count] for newly revealed cells
+    addKnowledge({ cells }) {
+        for (const [cell, count] of cells) {
+            solver.observe(cell, count);
+        }
+        return null;
+    },
+
+    // The solver's proposal, with the cell it would play (see propose_move())
+    requestMove() {
+        return propose_move(solver);
+    },
+
+    getState() {
+        return solver.to_json();
+    }
+};
+
+self.onmessage = ({ data }) => {
+    const { id, type } = data;
+    try {
+        if (!(type in handlers)) {
+            throw new Error(`Unknown AI worker request: ${type}`);
+        }
+        if (type !== 'init' && solver === null) {
+            throw new Error('The AI worker has no solver yet; send init first');
+        }
+        self.postMessage({ id, result: handlers[type](data) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
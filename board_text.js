@@ -0,0 +1,172 @@
+// board_text.js
+//
+// A plain-text format for whole positions, so they can be set up by hand, shared and
+// kept as solver regression cases. One line per row and one character per cell:
+//   .     hidden cell
+//   *     hidden mine
+//   F     flagged mine
+//   f     flag on a cell that isn't a mine
+//   0-8   revealed cell, showing its number of neighbouring mines
+// Whitespace within a line is ignored, so rows can be spaced out (hexagonal boards are
+// written with odd rows indented). Blank lines are skipped, and lines starting with #
+// are comments, apart from "# topology: torus" or "# topology: hex" for boards that
+// aren't square grids. For example:
+//   # A 1-2-1 with both of its mines above it
+//   *.*..
+//   121..
+//   .....
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./minesweeper_logic.js'), require('./game_session.js'));
+}
+
+const BOARD_TEXT_CELLS = { hidden: '.', mine: '*', flaggedMine: 'F', wrongFlag: 'f' };
+
+// Read a position, returning { height, width, topology, mines, revealed, flags } with
+// "row,col" key lists. Throws an Error naming the line and column of the first problem,
+// including any revealed number that doesn't match the mines around it.
+function parseBoardText(text) {
+    let topology = 'square';
+    const rows = []; // { cells, line } for each row, line being 1-based for messages
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const topologyMatch = /^#\s*topology\s*:\s*(\S+)\s*$/i.exec(line);
+        if (topologyMatch) {
+            topology = topologyMatch[1].toLowerCase();
+            if (!TOPOLOGY_NAMES.includes(topology)) {
+                throw new Error(`Line ${index + 1}: unknown topology "${topologyMatch[1]}" (expected ${TOPOLOGY_NAMES.join(', ')})`);
+            }
+        } else if (line !== '' && !line.startsWith('#')) {
+            rows.push({ cells: line.replace(/\s+/g, ''), line: index + 1 });
+        }
+    });
+
+    if (rows.length === 0) {
+        throw new Error('The board has no rows');
+    }
+    const width = rows[0].cells.length;
+    const position = { height: rows.length, width, topology, mines: [], revealed: [], flags: [] };
+    const numbers = []; // [cell, number, line] to check once every mine is known
+
+    rows.forEach(({ cells, line }, i) => {
+        if (cells.length !== width) {
+            throw new Error(`Line ${line}: expected ${width} cells like the first row, but found ${cells.length}`);
+        }
+        Array.from(cells).forEach((character, j) => {
+            const cellKey = `${i},${j}`;
+            if (character === BOARD_TEXT_CELLS.mine || character === BOARD_TEXT_CELLS.flaggedMine) {
+                position.mines.push(cellKey);
+            }
+            if (character === BOARD_TEXT_CELLS.flaggedMine || character === BOARD_TEXT_CELLS.wrongFlag) {
+                position.flags.push(cellKey);
+            }
+            if (/^[0-9]$/.test(character)) {
+                position.revealed.push(cellKey);
+                numbers.push([[i, j], Number(character), line]);
+            } else if (!Object.values(BOARD_TEXT_CELLS).includes(character)) {
+                throw new Error(`Line ${line}, column ${j + 1}: unexpected "${character}"`);
+            }
+        });
+    });
+
+    const board = positionBoard(position);
+    for (const [cell, number, line] of numbers) {
+        const actual = board.nearby_mines(cell);
+        if (number !== actual) {
+            throw new Error(`Line ${line}, column ${cell[1] + 1}: this cell is next to ${actual} mine(s), not ${number}`);
+        }
+    }
+    return position;
+}
+
+// Write a position as text: anything with board, revealed and flags (a GameSession, say)
+function formatBoardText({ board, revealed, flags }) {
+    const lines = [];
+    if (board.topology.name !== 'square') {
+        lines.push(`# topology: ${board.topology.name}`);
+    }
+    for (let i = 0; i < board.height; i++) {
+        let line = board.topology.name === 'hex' && i % 2 === 1 ? ' ' : '';
+        for (let j = 0; j < board.width; j++) {
+            const cellKey = `${i},${j}`;
+            const mine = board.mines.has(cellKey);
+            if (flags.has(cellKey)) {
+                line += mine ? BOARD_TEXT_CELLS.flaggedMine : BOARD_TEXT_CELLS.wrongFlag;
+            } else if (mine) {
+                line += BOARD_TEXT_CELLS.mine;
+            } else if (revealed.has(cellKey)) {
+                line += String(board.nearby_mines([i, j]));
+            } else {
+                line += BOARD_TEXT_CELLS.hidden;
+            }
+        }
+        lines.push(line);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// A Minesweeper with exactly the position's mines
+function positionBoard({ height, width, topology, mines }) {
+    return new Minesweeper(height, width, mines.length, { generation: 'fixed', layout: mines, topology });
+}
+
+// A GameSession ready to play on from the position, its AI told every revealed number
+function positionSession(position) {
+    const session = new GameSession(positionBoard(position));
+    for (const cellKey of position.revealed) {
+        const cell = cellKey.split(',').map(Number);
+        session.ai.add_knowledge(cell, session.board.nearby_mines(cell));
+    }
+    session.restore({
+        board: session.board.to_json(),
+        ai: session.ai.to_json(),
+        revealed: position.revealed,
+        flags: position.flags,
+        lost: false,
+        explodedCell: null
+    });
+    return session;
+}
+
+// What the revealed numbers (and the total mine count) prove about the hidden cells,
+// worked out by a fresh MinesweeperAI: { safes, mines, ambiguous, inferred }. safes and
+// mines list forced cells; ambiguous lists { cell, probability } for the rest, least
+// likely mines first. inferred holds the forced cells the AI's sentence reasoning finds
+// by itself, without weighing up every arrangement of mines.
+function analyzePosition(board, revealed) {
+    const ai = new MinesweeperAI(board.height, board.width, board.mine_count, { topology: board.topology.name });
+    for (const cellKey of revealed) {
+        const cell = cellKey.split(',').map(Number);
+        ai.add_knowledge(cell, board.nearby_mines(cell));
+    }
+
+    const analysis = { safes: [], mines: [], ambiguous: [], inferred: new Set([...ai.safes, ...ai.mines]) };
+    for (const [cellKey, probability] of ai.mine_probabilities()) {
+        if (probability <= PROBABILITY_EPSILON) {
+            analysis.safes.push(cellKey);
+        } else if (probability >= 1 - PROBABILITY_EPSILON) {
+            analysis.mines.push(cellKey);
+        } else {
+            analysis.ambiguous.push({ cell: cellKey, probability });
+        }
+    }
+    for (const cellKey of revealed) {
+        analysis.inferred.delete(cellKey);
+    }
+    analysis.safes.sort(compareCellKeys);
+    analysis.mines.sort(compareCellKeys);
+    analysis.ambiguous.sort((a, b) => a.probability - b.probability || compareCellKeys(a.cell, b.cell));
+    return analysis;
+}
+
+// Orders "row,col" keys row by row
+function compareCellKeys(a, b) {
+    const [ai, aj] = a.split(',').map(Number);
+    const [bi, bj] = b.split(',').map(Number);
+    return ai - bi || aj - bj;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseBoardText, formatBoardText, positionBoard, positionSession, analyzePosition };
+}
@@ -1,235 +1,2351 @@
 // game.js
 
 // UI Constants (can be adjusted)
-const HEIGHT = 8;
-const WIDTH = 8;
-const MINES = 8;
-
-const CELL_SIZE = 45; // Pixels per cell
-const BOARD_PADDING = 20; // Padding around the board
-const BOARD_ORIGIN_X = BOARD_PADDING;
-const BOARD_ORIGIN_Y = BOARD_PADDING;
-
-// Colors (as hex or RGB strings for Canvas)
-const BLACK = '#000000';
-const GRAY = '#B4B4B4'; // Lighter gray for cells
-const WHITE = '#FFFFFF';
+const DIFFICULTY_PRESETS = {
+    beginner: { height: 9, width: 9, mines: 10 },
+    intermediate: { height: 16, width: 16, mines: 40 },
+    expert: { height: 16, width: 30, mines: 99 }
+};
+const MIN_ROWS = 5;
+const MAX_ROWS = 40;
+const MIN_COLUMNS = 5;
+const MAX_COLUMNS = 60;
+const SAFE_START_CELLS = 9; // The first cell and its neighbours, kept clear of mines
+
+const MAX_CELL_SIZE = 45; // Pixels per cell when there is room
+const MIN_CELL_SIZE = 16; // Smallest cell size before the page scrolls instead
+const VIEWPORT_MARGIN_X = 100; // Horizontal space reserved around the canvas
+const VIEWPORT_MARGIN_Y = 280; // Vertical space reserved for the title, controls and status
+const UNDO_LIMIT = 100; // Most moves that can be undone
+const AUTOPLAY_STEP_MS = 500; // Time between autoplay moves at 1x speed
+const AI_PROGRESS_DELAY_MS = 200; // The AI has to think this long before the progress indicator shows
+const MAX_ZOOM = 4; // Furthest the board can be pinch-zoomed in
+const LONG_PRESS_MS = 500; // Touch held this long flags instead of revealing
+const TAP_SLOP = 10; // Pixels a touch can wander and still count as a tap rather than a drag
+const TOUCH_CLICK_GRACE_MS = 800; // Mouse events this soon after a touch are the browser's emulation of it
+const CLOCK_TICK_MS = 250; // How often the clock above the board is updated
+// Question asked when training mode warns about a move of each type
+const TRAINING_PROMPTS = { reveal: 'Reveal it anyway?', chord: 'Chord anyway?', flag: 'Flag it anyway?' };
+
+// Colors (as hex or RGB strings); the board itself is coloured by the theme (see renderer.js)
 const MINE_RED = '#FF0000';
 const FLAG_YELLOW = '#FFFF00';
-const BORDER_COLOR = '#FFFFFF'; // White border
+
+// AI overlay and hint colors
+const SAFE_OVERLAY = 'rgba(0, 200, 0, 0.35)';
+const MINE_OVERLAY = 'rgba(255, 0, 0, 0.35)';
+const SENTENCE_HIGHLIGHT = '#00BFFF'; // Cells of the sentences behind a deduction
+const SOURCE_HIGHLIGHT = '#FF8C00';   // Revealed numbers those sentences came from
+const HINT_HIGHLIGHT = '#00FF00';
+const CURSOR_COLOR = '#FF00FF'; // Keyboard cursor
 
 // Get DOM elements
 const gameCanvas = document.getElementById('gameCanvas');
+const boardGrid = document.getElementById('board-grid');
+const announcer = document.getElementById('announcer');
 const ctx = gameCanvas.getContext('2d');
+const themeSelect = document.getElementById('theme');
+const solverSelect = document.getElementById('solver');
 const instructionsScreen = document.getElementById('instructions');
 const gameScreen = document.getElementById('game-screen');
 const playButton = document.getElementById('play-button');
 const aiMoveButton = document.getElementById('ai-move-button');
+const autoplayButton = document.getElementById('autoplay-button');
+const autoplayStepButton = document.getElementById('autoplay-step-button');
+const autoplaySpeedSelect = document.getElementById('autoplay-speed');
+const autoplayPauseGuessesInput = document.getElementById('autoplay-pause-guesses');
+const autoplayStatusText = document.getElementById('autoplay-status');
+const aiProgress = document.getElementById('ai-progress');
+const trainingModeInput = document.getElementById('training-mode');
+const trainingReport = document.getElementById('training-report');
+const trainingSummaryText = document.getElementById('training-summary');
+const trainingMistakesList = document.getElementById('training-mistakes');
+const aiCancelButton = document.getElementById('ai-cancel-button');
 const resetButton = document.getElementById('reset-button');
 const gameStatusText = document.getElementById('game-status');
+const generationModeSelect = document.getElementById('generation-mode');
+const topologySelect = document.getElementById('topology');
+const boardInfoText = document.getElementById('board-info');
+const boardCodeInput = document.getElementById('board-code-input');
+const setupError = document.getElementById('setup-error');
+const difficultySelect = document.getElementById('difficulty');
+const customSettings = document.getElementById('custom-settings');
+const customHeightInput = document.getElementById('custom-height');
+const customWidthInput = document.getElementById('custom-width');
+const customMinesInput = document.getElementById('custom-mines');
+const boardCodeText = document.getElementById('board-code');
+const copyCodeButton = document.getElementById('copy-code-button');
+const resumeButton = document.getElementById('resume-button');
+const importButton = document.getElementById('import-button');
+const importFileInput = document.getElementById('import-file');
+const exportButton = document.getElementById('export-button');
+const replayButton = document.getElementById('replay-button');
+const loadReplayButton = document.getElementById('load-replay-button');
+const replayFileInput = document.getElementById('replay-file');
+const replayScreen = document.getElementById('replay-screen');
+const replayCanvas = document.getElementById('replayCanvas');
+const replayStepText = document.getElementById('replay-step');
+const replayBackButton = document.getElementById('replay-back-button');
+const replayPlayButton = document.getElementById('replay-play-button');
+const replayForwardButton = document.getElementById('replay-forward-button');
+const replaySpeedSelect = document.getElementById('replay-speed');
+const replayDownloadButton = document.getElementById('replay-download-button');
+const replayCloseButton = document.getElementById('replay-close-button');
+const overlayButton = document.getElementById('overlay-button');
+const hintButton = document.getElementById('hint-button');
+const aiExplanationText = document.getElementById('ai-explanation');
+const modeButton = document.getElementById('mode-button');
+const fitButton = document.getElementById('fit-button');
+const undoButton = document.getElementById('undo-button');
+const redoButton = document.getElementById('redo-button');
+const mineCounterText = document.getElementById('mine-counter');
+const timerText = document.getElementById('timer');
+const statsButton = document.getElementById('stats-button');
+const gameStatsButton = document.getElementById('game-stats-button');
+const statsScreen = document.getElementById('stats-screen');
+const statsTableBody = document.getElementById('stats-table-body');
+const statsEmptyText = document.getElementById('stats-empty');
+const clearStatsButton = document.getElementById('clear-stats-button');
+const statsCloseButton = document.getElementById('stats-close-button');
+const editorButton = document.getElementById('editor-button');
+const editPositionButton = document.getElementById('edit-position-button');
+const editorScreen = document.getElementById('editor-screen');
+const editorCanvas = document.getElementById('editorCanvas');
+const editorInfoText = document.getElementById('editor-info');
+const editorTextInput = document.getElementById('editor-text');
+const editorErrorText = document.getElementById('editor-error');
+const editorClearButton = document.getElementById('editor-clear-button');
+const editorLoadTextButton = document.getElementById('editor-load-text-button');
+const editorAnalyzeButton = document.getElementById('editor-analyze-button');
+const editorPlayButton = document.getElementById('editor-play-button');
+const editorCloseButton = document.getElementById('editor-close-button');
+const editorAnalysisPanel = document.getElementById('editor-analysis');
+const versusButton = document.getElementById('versus-button');
+const versusScreen = document.getElementById('versus-screen');
+const versusTimerText = document.getElementById('versus-timer');
+const versusPaceSelect = document.getElementById('versus-pace');
+const versusPlayerCanvas = document.getElementById('versusPlayerCanvas');
+const versusAiCanvas = document.getElementById('versusAiCanvas');
+const versusPlayerStatusText = document.getElementById('versus-player-status');
+const versusAiStatusText = document.getElementById('versus-ai-status');
+const versusResults = document.getElementById('versus-results');
+const versusWinnerText = document.getElementById('versus-winner');
+const versusResultsBody = document.getElementById('versus-results-body');
+const versusEndButton = document.getElementById('versus-end-button');
+const versusCloseButton = document.getElementById('versus-close-button');
 
 // Game state variables
-let game;
-let ai;
-let revealed; // Set of strings "row,col"
-let flags;    // Set of strings "row,col"
-let lost;
+let session; // The GameSession being played (see game_session.js)
+let recording; // Every action taken this game, for the replay viewer (see replay.js)
+let overlayEnabled = false; // Show what the AI knows on top of the board
+let hoverCell = null;       // Cell under the mouse, for explaining the AI's reasoning
+let hint = null;            // { cell, highlight } recommended by the Hint button, until the next move
+let probabilityCache = null; // Last mine_probabilities() result and the AI state it was computed for
+let undoStack = []; // Snapshots (serializeGame output) from before each move
+let redoStack = [];
+let usedUndo = false; // Set once a move is undone, to keep this game apart from clean wins
+let aiUsed = false;   // Set once AI Move or Hint is used, likewise
+let startTime = null; // Date.now() of the first reveal; the clock isn't running before it
+let endTime = null;   // Date.now() when the game was won or lost
+let finishedResult = null; // This game's entry in the statistics, once it is over
+let resultSummary = '';    // Time and score shown after a win
 let instructionsShown;
+let cellSize = MAX_CELL_SIZE; // Pixels per cell, scaled to fit the viewport
+let cursorCell = [0, 0];  // Keyboard cursor, also moved by mouse clicks
+let gridCells = [];       // gridCells[i][j] is the board grid element mirroring cell (i, j)
+let announcements = [];   // What the current move did, read out once it is finished
+let flagsChanged = false; // Whether to add the number of mines left to the announcement
+let inputMode = 'reveal'; // What a tap or left-click does to a hidden cell: 'reveal' or 'flag'
+let view = { scale: 1, x: 0, y: 0 }; // Zoom and pan of the game canvas: canvas = board * scale + (x, y)
+let lastTouchTime = 0;    // Date.now() of the last touch event, to ignore the mouse events that follow it
+let boardVersion = 0;     // Bumped on every change to the game, so AI answers for an older position can be spotted
+
+const gameRenderer = new BoardRenderer(gameCanvas);
+gameRenderer.onPaint = drawGameOverlays;
+const replayRenderer = new BoardRenderer(replayCanvas);
+const editorRenderer = new BoardRenderer(editorCanvas, { animate: false });
+editorRenderer.onPaint = drawEditorAnalysis;
+const versusPlayerRenderer = new BoardRenderer(versusPlayerCanvas);
+const versusAiRenderer = new BoardRenderer(versusAiCanvas);
 
 // --- Initialization ---
 function initGame() {
-    game = new Minesweeper(HEIGHT, WIDTH, MINES);
-    ai = new MinesweeperAI(HEIGHT, WIDTH);
-    revealed = new Set();
-    flags = new Set();
-    lost = false;
+    resetGameState();
     instructionsShown = true; // Start with instructions
     // Reset status text
     gameStatusText.textContent = '';
+    boardInfoText.textContent = '';
+    setupError.textContent = '';
     // Set up initial screen visibility
     instructionsScreen.classList.remove('hidden');
     gameScreen.classList.add('hidden');
+    // Offer to pick up where the player left off
+    resumeButton.classList.toggle('hidden', loadSavedGame() === null);
+}
 
-    // Adjust canvas size based on cell_size and board dimensions
-    gameCanvas.width = (WIDTH * CELL_SIZE) + (BOARD_PADDING * 2);
-    gameCanvas.height = (HEIGHT * CELL_SIZE) + (BOARD_PADDING * 2);
-
-    requestAnimationFrame(draw); // Start drawing loop
+// Forget the current game, ready for another
+function resetGameState() {
+    stopAutoplay();
+    cancelAiRequest();
+    session = null;
+    recording = null;
+    undoStack = [];
+    redoStack = [];
+    usedUndo = false;
+    updateUndoButtons();
+    aiUsed = false;
+    startTime = null;
+    endTime = null;
+    finishedResult = null;
+    resultSummary = '';
+    hint = null;
+    hoverCell = null;
+    aiExplanationText.textContent = '';
+    trainingReport.classList.add('hidden');
 }
 
-// --- Drawing Function ---
-function draw() {
-    // Clear the entire canvas
-    ctx.clearRect(0, 0, gameCanvas.width, gameCanvas.height);
+// Switch from the instructions to the board
+function showGameScreen() {
+    setupError.textContent = '';
+    instructionsShown = false;
+    instructionsScreen.classList.add('hidden');
+    gameScreen.classList.remove('hidden');
+    draw();
+}
 
-    if (instructionsShown) {
-        // Handled by CSS and HTML for simplicity, nothing to draw here
-    } else {
-        // Draw game board
-        for (let i = 0; i < HEIGHT; i++) {
-            for (let j = 0; j < WIDTH; j++) {
-                const x = BOARD_ORIGIN_X + j * CELL_SIZE;
-                const y = BOARD_ORIGIN_Y + i * CELL_SIZE;
-                const cellKey = `${i},${j}`; // Unique key for Set lookups
-
-                // Draw cell background
-                ctx.fillStyle = GRAY;
-                ctx.fillRect(x, y, CELL_SIZE, CELL_SIZE);
-
-                // Draw cell border
-                ctx.strokeStyle = BORDER_COLOR;
-                ctx.lineWidth = 3;
-                ctx.strokeRect(x, y, CELL_SIZE, CELL_SIZE);
-
-                // Draw content based on cell state
-                if (lost && game.is_mine([i, j])) {
-                    // Show mine if lost
-                    ctx.fillStyle = MINE_RED;
-                    ctx.beginPath();
-                    ctx.arc(x + CELL_SIZE / 2, y + CELL_SIZE / 2, CELL_SIZE / 4, 0, Math.PI * 2);
-                    ctx.fill();
-                } else if (flags.has(cellKey)) {
-                    // Draw flag
-                    ctx.fillStyle = FLAG_YELLOW;
-                    ctx.fillRect(x + CELL_SIZE * 0.2, y + CELL_SIZE * 0.2, CELL_SIZE * 0.6, CELL_SIZE * 0.6);
-                } else if (revealed.has(cellKey)) {
-                    // Draw number of nearby mines
-                    const nearby = game.nearby_mines([i, j]);
-                    if (nearby > 0) { // Only draw numbers if greater than 0
-                        ctx.fillStyle = BLACK;
-                        ctx.font = `${CELL_SIZE * 0.6}px Arial`; // Font size relative to cell
-                        ctx.textAlign = 'center';
-                        ctx.textBaseline = 'middle';
-                        ctx.fillText(nearby.toString(), x + CELL_SIZE / 2, y + CELL_SIZE / 2);
-                    }
-                }
+// Hook the UI up to a new session: every accepted move can be undone and is recorded
+// for the replay viewer, the clock and statistics follow the game's status, and the
+// screen is refreshed after every change
+function attachSession(newSession) {
+    stopAutoplay();
+    cancelAiRequest();
+    session = newSession;
+    boardVersion++;
+    // Saved games and editor positions carry on with the strategy chosen now
+    if (session.solver && session.solver.solver_name !== solverSelect.value) {
+        session.useSolver(solverSelect.value);
+    }
+    syncAiWorker();
+    buildBoardGrid();
+    session.on('action', ({ type, cell, source }) => {
+        // A position from the board editor is under way before anyone has moved, so its
+        // clock starts with the first move instead of the first reveal
+        if (startTime === null && session.status === 'playing') {
+            startTime = Date.now();
+        }
+        pushUndo();
+        if (source !== 'human') {
+            aiUsed = true;
+        }
+        recordAction(recording, session.board, type, cell, source);
+    });
+    session.on('status', ({ previous }) => {
+        if (previous === 'ready') {
+            // First reveal: the mines have just been placed, and the clock starts
+            if (startTime === null) {
+                startTime = Date.now();
+            }
+            showBoardInfo();
+        }
+    });
+    session.on('reveal', ({ cells, source }) => {
+        if (aiWorkerReady()) {
+            aiClient.addKnowledge(cells.map(cell => [cell, session.board.nearby_mines(cell)])).catch(reportAiWorkerError);
+        }
+        updateGridCells(cells);
+        announceReveal(cells, source);
+    });
+    session.on('flag', ({ cell, flagged, source }) => {
+        updateGridCells([cell]);
+        // Flags placed for the player on a win aren't announced one by one
+        if (session.revealed.size < session.safeCellCount()) {
+            announce(`${source === 'human' ? '' : 'AI '}${flagged ? 'Flagged' : 'Removed the flag from'} ${describeCell(cell)}.`);
+            flagsChanged = true;
+        }
+    });
+    session.on('win', () => {
+        finishGame();
+        updateAllGridCells();
+        announce(`You won! ${resultSummary}`);
+    });
+    session.on('lose', ({ cell, source }) => {
+        finishGame();
+        updateAllGridCells(); // Every mine is shown once the game is lost
+        announce(`${source === 'human' ? 'Mine' : 'The AI hit a mine'} at ${describeCell(cell)}. Game over.`);
+    });
+    session.on('restore', () => {
+        syncAiWorker();
+        updateAllGridCells();
+        // Undoing out of a finished game takes its result back out of the statistics;
+        // redoing back into it records it again
+        if (session.isOver() && !finishedResult) {
+            finishGame();
+        } else if (!session.isOver()) {
+            trainingReport.classList.add('hidden'); // Until the game is over again
+            if (finishedResult) {
+                removeGameResult(finishedResult.id);
+                finishedResult = null;
+                endTime = null;
+                resultSummary = '';
             }
         }
+    });
+    session.on('change', boardChanged);
+}
 
-        // Update game status text
-        if (lost) {
-            gameStatusText.textContent = 'Lost!';
-            gameStatusText.style.color = MINE_RED;
-        } else if (flags.size === MINES && revealed.size === (HEIGHT * WIDTH - MINES)) {
-             // Win condition: all mines flagged AND all non-mines revealed
-            gameStatusText.textContent = 'Won!';
-            gameStatusText.style.color = FLAG_YELLOW;
-        } else {
-            gameStatusText.textContent = ''; // Clear text if game is ongoing
+// Called after every move, undo and redo: drops any hint (which may no longer apply),
+// saves the game and redraws
+function boardChanged() {
+    boardVersion++;
+    hint = null;
+    aiExplanationText.textContent = '';
+    updateStatusText();
+    flushAnnouncements();
+    saveGame();
+    draw();
+}
+
+// Stop the clock and add the game to the statistics
+function finishGame() {
+    const { board } = session;
+    endTime = Date.now();
+    showTrainingReport();
+    const result = {
+        board: `${board.height}x${board.width}/${board.mine_count}`,
+        topology: board.topology.name,
+        won: session.status === 'won',
+        timeMs: endTime - startTime,
+        bbbv: board.bbbv(),
+        clicks: countPlayerClicks(),
+        aiUsed,
+        usedUndo,
+        finishedAt: new Date(endTime).toISOString()
+    };
+    // Positions from the board editor start part-way through, so they aren't comparable
+    // with other games: they stay out of the statistics and only get a time
+    if (board.generation === 'fixed') {
+        resultSummary = result.won ? formatTime(result.timeMs) : '';
+        return;
+    }
+    finishedResult = recordGameResult(result);
+    if (result.won) {
+        const score = scoreGame(result);
+        resultSummary = `${formatTime(result.timeMs)} · 3BV ${score.bbbv} · ` +
+            `${score.bbbvPerSecond.toFixed(2)} 3BV/s · ${Math.round(score.efficiency * 100)}% efficiency`;
+    }
+}
+
+// Reveals, chords and flags made by the player (not the AI, and not undo/redo)
+function countPlayerClicks() {
+    return recording.actions.filter(action =>
+        action.source === 'human' && REPLAY_CELL_ACTIONS.includes(action.type)).length;
+}
+
+function elapsedMs() {
+    if (startTime === null) return 0;
+    return (endTime === null ? Date.now() : endTime) - startTime;
+}
+
+function formatTime(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function updateStatusText() {
+    if (session.status === 'lost') {
+        gameStatusText.textContent = 'Lost!';
+        gameStatusText.style.color = MINE_RED;
+    } else if (session.status === 'won') {
+        gameStatusText.textContent = `${usedUndo ? 'Won! (with undo)' : 'Won!'} ${resultSummary}`;
+        gameStatusText.style.color = FLAG_YELLOW;
+    } else {
+        gameStatusText.textContent = ''; // Clear text if game is ongoing
+    }
+}
+
+// Mine counter (mines minus flags) and clock above the board
+function updateGameInfo() {
+    const minesLeft = String(session.minesLeft());
+    const seconds = String(Math.floor(elapsedMs() / 1000));
+    if (mineCounterText.textContent !== minesLeft) mineCounterText.textContent = minesLeft;
+    if (timerText.textContent !== seconds) timerText.textContent = seconds;
+}
+
+// Autosave after every move. Finished games are cleared rather than saved,
+// so there is nothing to resume once a game is won or lost.
+function saveGame() {
+    if (session.isOver()) {
+        clearSavedGame();
+    } else {
+        storeSavedGame(serializeGame({ session, recording, usedUndo, aiUsed, elapsedMs: elapsedMs() }));
+    }
+}
+
+// Put a saved or imported game back on the board. Throws if the data is invalid.
+function restoreGame(data) {
+    const restored = deserializeGame(data);
+    attachSession(restored.session);
+    ({ recording, usedUndo, aiUsed } = restored);
+    if (!recording) {
+        recording = createRecording(session.board);
+    }
+    recording.solver = solverSelect.value; // attachSession() switched to the solver chosen now
+    // Carry on the clock from where it stopped
+    startTime = session.status !== 'ready' ? Date.now() - restored.elapsedMs : null;
+    endTime = null;
+    finishedResult = null;
+    resultSummary = '';
+    undoStack = [];
+    redoStack = [];
+    updateUndoButtons();
+    boardCodeText.textContent = session.board.board_code();
+    fitCanvasToViewport();
+    updateStatusText();
+    if (session.board.mines_placed) {
+        showBoardInfo();
+    }
+}
+
+// Check a board size and mine count against the size limits, leaving room for a safe start.
+// Returns an error message, or null if the settings are fine.
+function validateBoardSettings({ height, width, mines, generation }) {
+    if (!Number.isInteger(height) || height < MIN_ROWS || height > MAX_ROWS) {
+        return `Rows must be a whole number from ${MIN_ROWS} to ${MAX_ROWS}.`;
+    }
+    if (!Number.isInteger(width) || width < MIN_COLUMNS || width > MAX_COLUMNS) {
+        return `Columns must be a whole number from ${MIN_COLUMNS} to ${MAX_COLUMNS}.`;
+    }
+    // Fixed layouts (from the board editor) don't need room for a safe start
+    const maxMines = height * width - (generation === 'fixed' ? 1 : SAFE_START_CELLS);
+    if (!Number.isInteger(mines) || mines < 1 || mines > maxMines) {
+        return `Mines must be a whole number from 1 to ${maxMines} for a ${height}x${width} board.`;
+    }
+    return null;
+}
+
+// Board size and mine count chosen on the instructions screen
+function selectedBoardSettings() {
+    if (difficultySelect.value === 'custom') {
+        return {
+            height: Number(customHeightInput.value),
+            width: Number(customWidthInput.value),
+            mines: Number(customMinesInput.value)
+        };
+    }
+    return DIFFICULTY_PRESETS[difficultySelect.value];
+}
+
+// Create the board for a new game. A board code entered on the instructions screen
+// recreates that exact board; otherwise the chosen difficulty, generation mode and a
+// fresh seed are used. Returns false (and shows why) if the settings can't be used.
+function startGame() {
+    const settings = readBoardSettings();
+    if (!settings) return false;
+
+    const board = new Minesweeper(settings.height, settings.width, settings.mines, {
+        generation: settings.generation,
+        topology: settings.topology,
+        seed: settings.seed,
+        layout: settings.layout
+    });
+    attachSession(new GameSession(board, { solver: solverSelect.value }));
+    recording = createRecording(board, null, solverSelect.value);
+    boardCodeText.textContent = board.board_code();
+
+    fitCanvasToViewport();
+    return true;
+}
+
+// Board settings from the setup screen, or from the board code if one was entered.
+// Returns null (with the problem shown under the form) if they aren't usable.
+function readBoardSettings() {
+    let settings = {
+        ...selectedBoardSettings(),
+        generation: generationModeSelect.value,
+        topology: topologySelect.value,
+        seed: undefined
+    };
+    const code = boardCodeInput.value.trim();
+    if (code) {
+        try {
+            settings = BoardCode.decode(code);
+        } catch (error) {
+            setupError.textContent = error.message;
+            return null;
         }
     }
+    const problem = validateBoardSettings(settings);
+    if (problem) {
+        setupError.textContent = problem;
+        return null;
+    }
+    return settings;
+}
+
+// Pick the largest cell size (up to MAX_CELL_SIZE) at which the board fits the window,
+// and size the canvas to match. columns is how many boards share the window's width.
+function fitCanvasToViewport(canvas = gameCanvas, board = session.board, columns = 1) {
+    const availableWidth = (window.innerWidth - VIEWPORT_MARGIN_X) / columns - BOARD_PADDING * 2;
+    const availableHeight = window.innerHeight - VIEWPORT_MARGIN_Y - BOARD_PADDING * 2;
+    const unitSize = board.topology.pixel_size(1); // Board size for 1-pixel cells
+    const fittedSize = Math.floor(Math.min(availableWidth / unitSize.width, availableHeight / unitSize.height));
+    cellSize = Math.max(MIN_CELL_SIZE, Math.min(MAX_CELL_SIZE, fittedSize));
+
+    const boardSize = board.topology.pixel_size(cellSize);
+    canvas.width = Math.ceil(boardSize.width) + (BOARD_PADDING * 2);
+    canvas.height = Math.ceil(boardSize.height) + (BOARD_PADDING * 2);
+    if (canvas === gameCanvas) {
+        resetView();
+    }
+}
+
+// Position of a mouse or pointer event in canvas pixels. On narrow screens CSS shrinks
+// the canvas to fit, so screen pixels are scaled back up to the canvas's own size.
+function canvasPoint(event, canvas = gameCanvas) {
+    const rect = canvas.getBoundingClientRect(); // Get canvas position on page
+    const scaleX = rect.width ? canvas.width / rect.width : 1;
+    const scaleY = rect.height ? canvas.height / rect.height : 1;
+    return { x: (event.clientX - rect.left) * scaleX, y: (event.clientY - rect.top) * scaleY };
+}
+
+// The cell of board under a mouse event on a canvas that isn't zoomed or panned (every
+// canvas but the game's own), or null if it is off the board
+function boardCellAt(event, canvas, board) {
+    const point = canvasPoint(event, canvas);
+    return board.topology.cell_at(point.x - BOARD_ORIGIN_X, point.y - BOARD_ORIGIN_Y, cellSize);
+}
+
+// Map a mouse or pointer event to the board cell under it, or null if it is off the board.
+// The zoom and pan are undone first, so this works at any zoom level.
+function cellFromEvent(event) {
+    const point = canvasPoint(event);
+    const boardX = (point.x - view.x) / view.scale;
+    const boardY = (point.y - view.y) / view.scale;
+
+    return session.board.topology.cell_at(boardX - BOARD_ORIGIN_X, boardY - BOARD_ORIGIN_Y, cellSize);
+}
+
+// Let the player know when a no-guess board could not be found within the attempt limit
+function showBoardInfo() {
+    const { board } = session;
+    if (board.generation === 'no-guess' && !board.no_guess) {
+        boardInfoText.textContent = `No guess-free board found in ${board.generation_attempts} attempts; this one may need a guess.`;
+    } else {
+        boardInfoText.textContent = '';
+    }
+}
+
+// --- Drawing Functions ---
 
-    requestAnimationFrame(draw); // Continue the loop
+// Add the outline of a cell (shrunk by inset pixels) to the context's current path.
+// The board's topology gives the cell's shape and position.
+function traceCell(context, board, cell, inset = 0) {
+    context.save();
+    context.translate(BOARD_ORIGIN_X, BOARD_ORIGIN_Y);
+    board.topology.trace_cell(context, cell, cellSize, inset);
+    context.restore();
+}
+
+function cellCenter(board, cell) {
+    const { x, y } = board.topology.cell_center(cell, cellSize);
+    return { x: BOARD_ORIGIN_X + x, y: BOARD_ORIGIN_Y + y };
+}
+
+// What a renderer needs to show a session's board (see BoardRenderer.update())
+function sessionRenderState(session) {
+    return {
+        board: session.board,
+        revealed: session.revealed,
+        flags: session.flags,
+        showMines: session.status === 'lost',
+        explodedCell: session.explodedCell,
+        cellSize
+    };
+}
+
+// Repaint the game canvas on the next frame. Call it after anything that changes what is shown.
+function draw() {
+    if (instructionsShown || !session) return;
+    gameRenderer.update({ ...sessionRenderState(session), view });
+    updateGameInfo();
+}
+
+// Painted over the board each frame, with the zoom and pan applied
+function drawGameOverlays() {
+    if (overlayEnabled && session.status !== 'lost') {
+        drawAiOverlay();
+    }
+    if (hint) {
+        drawHighlight(hint.highlight);
+        outlineCell(hint.cell, HINT_HIGHLIGHT, 4);
+    }
+    if (document.activeElement === boardGrid) {
+        outlineCell(cursorCell, CURSOR_COLOR, 3);
+    }
 }
 
 // --- Event Listeners ---
 playButton.addEventListener('click', () => {
-    instructionsShown = false;
-    instructionsScreen.classList.add('hidden');
-    gameScreen.classList.remove('hidden');
-    draw(); // Force redraw to show game board
+    if (!startGame()) return;
+    clearSavedGame(); // A new game replaces any saved one
+    showGameScreen();
+});
+
+resumeButton.addEventListener('click', () => {
+    const data = loadSavedGame();
+    if (data) {
+        restoreGame(data);
+        showGameScreen();
+    }
+});
+
+importButton.addEventListener('click', () => {
+    importFileInput.click();
+});
+
+importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = ''; // Allow the same file to be picked again
+    if (!file) return;
+
+    readJsonFile(file).then((data) => {
+        restoreGame(data);
+        saveGame();
+        showGameScreen();
+    }).catch((error) => {
+        setupError.textContent = error.message;
+    });
+});
+
+exportButton.addEventListener('click', () => {
+    if (!session) return;
+    downloadJson(`minesweeper-${session.board.board_code()}.json`,
+        serializeGame({ session, recording, usedUndo, aiUsed, elapsedMs: elapsedMs() }));
+});
+
+// Chording: a middle-click, or pressing left and right together, on a revealed number.
+// The click/contextmenu events that follow a two-button chord are swallowed.
+let chordClickPending = false;
+let chordContextMenuPending = false;
+
+gameCanvas.addEventListener('mousedown', (event) => {
+    if (isTouchEmulation()) return;
+    const bothButtons = (event.buttons & 3) === 3;
+    if (event.button !== 1 && !bothButtons) {
+        // A fresh single-button press: forget any chord whose click never arrived
+        chordClickPending = false;
+        chordContextMenuPending = false;
+        return;
+    }
+    event.preventDefault(); // Stop middle-click autoscroll
+    if (bothButtons) {
+        chordClickPending = true;
+        chordContextMenuPending = true;
+    }
+    if (instructionsShown) return;
+
+    const cell = cellFromEvent(event);
+    if (cell) {
+        playerMove('chord', cell);
+    }
 });
 
 gameCanvas.addEventListener('click', (event) => {
-    if (lost || instructionsShown) return;
-
-    const rect = gameCanvas.getBoundingClientRect(); // Get canvas position on page
-    const mouseX = event.clientX - rect.left;
-    const mouseY = event.clientY - rect.top;
-
-    // Calculate clicked cell based on mouse coordinates
-    const j = Math.floor((mouseX - BOARD_ORIGIN_X) / CELL_SIZE);
-    const i = Math.floor((mouseY - BOARD_ORIGIN_Y) / CELL_SIZE);
-
-    if (i >= 0 && i < HEIGHT && j >= 0 && j < WIDTH) {
-        const cell = [i, j];
-        const cellKey = `${i},${j}`;
-
-        if (!flags.has(cellKey) && !revealed.has(cellKey)) {
-            if (game.is_mine(cell)) {
-                lost = true;
-            } else {
-                const nearby = game.nearby_mines(cell);
-                revealed.add(cellKey);
-                ai.add_knowledge(cell, nearby);
-            }
-            draw(); // Redraw after move
-        }
+    if (chordClickPending) {
+        chordClickPending = false;
+        return;
+    }
+    if (instructionsShown || isTouchEmulation()) return;
+
+    const cell = cellFromEvent(event);
+    if (cell) {
+        setCursor(cell);
+        playerMove(inputMode === 'flag' ? 'flag' : 'reveal', cell);
     }
 });
 
 gameCanvas.addEventListener('contextmenu', (event) => {
     event.preventDefault(); // Prevent default right-click context menu
-    if (lost || instructionsShown) return;
-
-    const rect = gameCanvas.getBoundingClientRect();
-    const mouseX = event.clientX - rect.left;
-    const mouseY = event.clientY - rect.top;
-
-    const j = Math.floor((mouseX - BOARD_ORIGIN_X) / CELL_SIZE);
-    const i = Math.floor((mouseY - BOARD_ORIGEN_Y) / CELL_SIZE); // Typo here, should be BOARD_ORIGIN_Y
-
-    if (i >= 0 && i < HEIGHT && j >= 0 && j < WIDTH) {
-        const cellKey = `${i},${j}`;
-        if (!revealed.has(cellKey)) { // Cannot flag an already revealed cell
-            if (flags.has(cellKey)) {
-                flags.delete(cellKey);
-            } else {
-                flags.add(cellKey);
-            }
-            draw(); // Redraw after flag change
+    if (chordContextMenuPending) {
+        chordContextMenuPending = false;
+        return;
+    }
+    // Browsers also send contextmenu on a long press, which the touch handlers deal with
+    if (instructionsShown || isTouchEmulation()) return;
+
+    const cell = cellFromEvent(event);
+    if (cell) {
+        playerMove('flag', cell);
+    }
+});
+
+
+// --- Touch, Zoom and Pan ---
+// Touch and pen input goes through pointer events (mouse input keeps the handlers
+// above): a tap reveals, or flags in flag mode, and chords on a revealed number; a long
+// press does the opposite of a tap; one finger drags a zoomed board around and two
+// fingers pinch-zoom it.
+
+const activePointers = new Map(); // pointerId -> latest { x, y } in canvas pixels
+let gesture = null; // The touch gesture in progress (see pointerdown)
+
+function isTouchEmulation() {
+    return Date.now() - lastTouchTime < TOUCH_CLICK_GRACE_MS;
+}
+
+function resetView() {
+    view = { scale: 1, x: 0, y: 0 };
+    fitButton.disabled = true;
+}
+
+// Zoom to scale (within 1..MAX_ZOOM) and pan by (x, y), keeping the board covering the canvas
+function setView(scale, x, y) {
+    scale = Math.max(1, Math.min(MAX_ZOOM, scale));
+    const minX = gameCanvas.width * (1 - scale);
+    const minY = gameCanvas.height * (1 - scale);
+    view = { scale, x: Math.max(minX, Math.min(0, x)), y: Math.max(minY, Math.min(0, y)) };
+    fitButton.disabled = scale === 1;
+}
+
+// Zoom to scale, keeping the board point under canvas point (px, py) where it is
+function zoomAt(scale, px, py) {
+    const boardX = (px - view.x) / view.scale;
+    const boardY = (py - view.y) / view.scale;
+    const newScale = Math.max(1, Math.min(MAX_ZOOM, scale));
+    setView(newScale, px - boardX * newScale, py - boardY * newScale);
+}
+
+function setInputMode(mode) {
+    inputMode = mode;
+    modeButton.textContent = mode === 'flag' ? 'Mode: Flag' : 'Mode: Reveal';
+    modeButton.setAttribute('aria-pressed', String(mode === 'flag'));
+}
+
+function pinchDistance() {
+    const [a, b] = Array.from(activePointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function pinchMidpoint() {
+    const [a, b] = Array.from(activePointers.values());
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function tapCell(cell, longPress) {
+    if (instructionsShown || !cell) return;
+    setCursor(cell);
+    if (session.isRevealed(cell)) {
+        if (!longPress) playerMove('chord', cell);
+    } else if ((inputMode === 'flag') !== longPress) {
+        playerMove('flag', cell);
+    } else {
+        playerMove('reveal', cell);
+    }
+}
+
+gameCanvas.addEventListener('pointerdown', (event) => {
+    if (event.pointerType === 'mouse' || !session) return;
+    lastTouchTime = Date.now();
+    gameCanvas.setPointerCapture(event.pointerId);
+    activePointers.set(event.pointerId, canvasPoint(event));
+
+    clearTimeout(gesture && gesture.longPressTimer);
+    if (activePointers.size === 1) {
+        // A tap until it moves too far (then a drag) or is held (then a long press)
+        const start = canvasPoint(event);
+        const cell = cellFromEvent(event);
+        gesture = { type: 'tap', start, view: { ...view }, cell, longPressTimer: null };
+        gesture.longPressTimer = setTimeout(() => {
+            lastTouchTime = Date.now();
+            gesture.type = 'done';
+            if (navigator.vibrate) navigator.vibrate(20);
+            tapCell(cell, true);
+        }, LONG_PRESS_MS);
+    } else if (activePointers.size === 2) {
+        gesture = { type: 'pinch', distance: pinchDistance(), midpoint: pinchMidpoint(), view: { ...view } };
+    }
+});
+
+gameCanvas.addEventListener('pointermove', (event) => {
+    if (!activePointers.has(event.pointerId)) return;
+    lastTouchTime = Date.now();
+    const point = canvasPoint(event);
+    activePointers.set(event.pointerId, point);
+
+    if (gesture.type === 'tap' && Math.hypot(point.x - gesture.start.x, point.y - gesture.start.y) > TAP_SLOP) {
+        clearTimeout(gesture.longPressTimer);
+        gesture.type = 'drag';
+    }
+    if (gesture.type === 'drag') {
+        setView(view.scale, gesture.view.x + point.x - gesture.start.x, gesture.view.y + point.y - gesture.start.y);
+        draw();
+    } else if (gesture.type === 'pinch' && activePointers.size === 2) {
+        // Scale by how far the fingers have spread, keeping the board point that was
+        // under their starting midpoint under their current one
+        const start = gesture.view;
+        const scale = Math.max(1, Math.min(MAX_ZOOM, start.scale * pinchDistance() / gesture.distance));
+        const midpoint = pinchMidpoint();
+        const boardX = (gesture.midpoint.x - start.x) / start.scale;
+        const boardY = (gesture.midpoint.y - start.y) / start.scale;
+        setView(scale, midpoint.x - boardX * scale, midpoint.y - boardY * scale);
+        draw();
+    }
+});
+
+function endPointer(event, cancelled) {
+    if (!activePointers.has(event.pointerId)) return;
+    lastTouchTime = Date.now();
+    activePointers.delete(event.pointerId);
+    clearTimeout(gesture.longPressTimer);
+    if (gesture.type === 'tap' && !cancelled) {
+        tapCell(gesture.cell, false);
+    }
+    // Lifting one finger of a pinch shouldn't turn the other into a tap
+    gesture.type = 'done';
+}
+
+gameCanvas.addEventListener('pointerup', (event) => endPointer(event, false));
+gameCanvas.addEventListener('pointercancel', (event) => endPointer(event, true));
+
+// Ctrl + mouse wheel (and trackpad pinches, which browsers report the same way) zooms too
+gameCanvas.addEventListener('wheel', (event) => {
+    if (!event.ctrlKey || !session) return;
+    event.preventDefault();
+    const point = canvasPoint(event);
+    zoomAt(view.scale * Math.exp(-event.deltaY / 200), point.x, point.y);
+    draw();
+}, { passive: false });
+
+modeButton.addEventListener('click', () => {
+    setInputMode(inputMode === 'flag' ? 'reveal' : 'flag');
+});
+
+fitButton.addEventListener('click', () => {
+    resetView();
+    draw();
+});
+
+// Play the AI's next move. Its callers (the button and the A key) don't wait for it, so
+// errors are reported here rather than left as unhandled rejections.
+async function aiMove() {
+    if (instructionsShown || aiThinking) return;
+
+    let preview;
+    try {
+        preview = await requestAiPreview();
+    } catch (error) {
+        if (!error.cancelled) {
+            console.error('AI move failed:', error);
         }
+        return;
     }
+    playAiPreview(preview);
+}
+
+aiMoveButton.addEventListener('click', aiMove);
+
+difficultySelect.addEventListener('change', () => {
+    customSettings.classList.toggle('hidden', difficultySelect.value !== 'custom');
 });
 
+window.addEventListener('resize', () => {
+    if (replayBoard && !replayScreen.classList.contains('hidden')) {
+        fitCanvasToViewport(replayCanvas, replayBoard);
+        showReplayFrame();
+    } else if (versus) {
+        fitVersusCanvases();
+        drawVersus();
+    } else if (editorPosition) {
+        fitCanvasToViewport(editorCanvas, editorBoard);
+        drawEditor();
+    } else if (session) {
+        fitCanvasToViewport();
+        draw();
+    }
+});
 
-aiMoveButton.addEventListener('click', () => {
-    if (lost || instructionsShown) return;
+copyCodeButton.addEventListener('click', () => {
+    const code = boardCodeText.textContent;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(code).then(() => {
+            copyCodeButton.textContent = 'Copied!';
+            setTimeout(() => { copyCodeButton.textContent = 'Copy'; }, 1500);
+        });
+    } else {
+        // No clipboard API (e.g. plain http): select the code so it can be copied by hand
+        const range = document.createRange();
+        range.selectNodeContents(boardCodeText);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+    }
+});
 
-    const move = ai.make_safe_move();
-    if (move === null) {
-        // No safe moves, try random
-        const randomMove = ai.make_random_move();
-        if (randomMove === null) {
-            // If no random moves either, it means all remaining unknown cells must be mines
-            // This is a simplified interpretation for the UI: mark all remaining as flags
-            for(let r=0; r<HEIGHT; r++) {
-                for(let c=0; c<WIDTH; c++) {
-                    const cellKey = `${r},${c}`;
-                    if (!revealed.has(cellKey) && !ai.mines.has(cellKey) && !flags.has(cellKey)) {
-                        flags.add(cellKey); // Assume it's a mine
-                    }
-                }
+resetButton.addEventListener('click', () => {
+    clearSavedGame(); // Reset abandons the current game
+    initGame(); // Re-initialize all game state
+    draw();
+});
+
+// --- AI Worker ---
+// AI Move, Hint and Autoplay ask a copy of the session's solver in a Web Worker (see
+// ai_client.js) what to play, since weighing up every arrangement of mines can take a
+// while on big boards. It is told about every revealed cell and reset on undo, redo, new
+// games and a change of solver, and it picks the cell too, so the session's own solver
+// (which only catches up when the AI view, a hint or training needs it) isn't asked.
+// Solvers break ties the same way wherever they run, so seeded games turn out the same
+// either way. Without worker support everything runs on the page.
+
+const aiClient = createAiClient();
+let aiThinking = false;     // Waiting for the worker
+let aiProgressTimer = null; // Shows the progress indicator if the wait goes on
+
+// Bring the worker's solver in line with the session's
+function syncAiWorker() {
+    if (aiWorkerReady()) {
+        syncAiClient(aiClient, session);
+    }
+}
+
+// Start client's solver over from gameSession's, including any numbers the session's
+// own solver hasn't caught up on
+function syncAiClient(client, gameSession) {
+    const { state, cells } = gameSession.solverSnapshot();
+    client.init(state).catch(reportAiWorkerError);
+    if (cells.length > 0) {
+        client.addKnowledge(cells).catch(reportAiWorkerError);
+    }
+}
+
+// Whether the worker should be kept told about this game
+function aiWorkerReady() {
+    return aiClient !== null && !aiClient.failed && session.hasSolver();
+}
+
+function reportAiWorkerError(error) {
+    if (!error.cancelled) {
+        console.warn('AI worker:', error.message);
+    }
+}
+
+// What the solver would play next (see GameSession.previewAiStep()), worked out in the
+// worker if there is one. Rejects with error.cancelled set if the player cancels. If the game
+// changes while the worker thinks, the answer is out of date and it is asked again.
+async function requestAiPreview() {
+    if (session.isOver() || !session.hasSolver()) return null;
+    if (!aiWorkerReady()) return session.previewAiStep();
+
+    const version = boardVersion;
+    aiThinking = true;
+    aiProgressTimer = setTimeout(() => aiProgress.classList.remove('hidden'), AI_PROGRESS_DELAY_MS);
+    let preview;
+    try {
+        preview = await aiClient.requestMove();
+    } catch (error) {
+        if (error.cancelled) throw error;
+        reportAiWorkerError(error);
+        preview = session.previewAiStep(); // The worker is broken, so think here instead
+    } finally {
+        aiThinking = false;
+        clearTimeout(aiProgressTimer);
+        aiProgress.classList.add('hidden');
+    }
+    return version === boardVersion ? preview : requestAiPreview();
+}
+
+// Play a move from requestAiPreview(), returning what aiStep() did
+function playAiPreview(preview) {
+    if (!preview) return null;
+    return session.aiStep({ proposal: preview });
+}
+
+// Stop the worker if it's thinking; whoever asked gets a cancelled error
+function cancelAiRequest() {
+    if (aiThinking) {
+        aiClient.cancel();
+    }
+}
+
+aiCancelButton.addEventListener('click', cancelAiRequest);
+
+// --- Autoplay ---
+// The AI plays move after move on a timer until the game is over, optionally stopping
+// to let the player decide whether to take each guess
+
+let autoplayTimer = null;
+let autoplayMoves = { safe: 0, guess: 0 }; // Moves autoplay (and Step) made this game, besides the opening
+let guessApprovedAt = null; // recording length when autoplay stopped before a guess
+
+function startAutoplay() {
+    if (instructionsShown || session.isOver()) return;
+    autoplayButton.textContent = 'Pause';
+    autoplayButton.setAttribute('aria-pressed', 'true');
+    autoplayStatusText.textContent = 'Autoplay running.';
+    scheduleAutoplay();
+}
+
+// Each move is timed from the end of the last one, which may have waited on the worker.
+// Nothing waits on the timer, so errors are reported here and autoplay stops.
+function scheduleAutoplay() {
+    autoplayTimer = setTimeout(async () => {
+        let keepGoing;
+        try {
+            keepGoing = await autoplayStep();
+        } catch (error) {
+            if (!error.cancelled) {
+                console.error('Autoplay failed:', error);
             }
-            console.log("AI: No moves left to make. Flagging remaining unknowns.");
+            interruptAutoplay();
+            return;
+        }
+        if (autoplayTimer === null) return; // Paused while the AI was thinking
+        if (keepGoing) {
+            scheduleAutoplay();
         } else {
-            console.log("AI: No known safe moves, making random move:", randomMove);
-            if (game.is_mine(randomMove)) {
-                lost = true;
-            } else {
-                const nearby = game.nearby_mines(randomMove);
-                revealed.add(`${randomMove[0]},${randomMove[1]}`);
-                ai.add_knowledge(randomMove, nearby);
-            }
+            pauseAutoplay();
         }
+    }, AUTOPLAY_STEP_MS / Number(autoplaySpeedSelect.value));
+}
+
+function pauseAutoplay() {
+    clearTimeout(autoplayTimer);
+    autoplayTimer = null;
+    autoplayButton.textContent = session && autoplayMoves.safe + autoplayMoves.guess > 0 && !session.isOver()
+        ? 'Resume' : 'Autoplay';
+    autoplayButton.setAttribute('aria-pressed', 'false');
+}
+
+// Pause for something the player did, such as undoing a move
+function interruptAutoplay() {
+    if (autoplayTimer) {
+        pauseAutoplay();
+        autoplayStatusText.textContent = 'Autoplay paused.';
+    }
+}
+
+// Forget this game's autoplay, for a new or reloaded game
+function stopAutoplay() {
+    clearTimeout(autoplayTimer);
+    autoplayTimer = null;
+    autoplayMoves = { safe: 0, guess: 0 };
+    guessApprovedAt = null;
+    autoplayButton.textContent = 'Autoplay';
+    autoplayButton.setAttribute('aria-pressed', 'false');
+    autoplayStatusText.textContent = '';
+}
+
+// Play one AI move for autoplay. Returns false when autoplay should stop: the game is
+// over, the AI has nothing to try, or the next move is a guess the player wants to see
+// first. Carrying on after that stop (Resume or Step) takes the guess.
+async function autoplayStep() {
+    if (instructionsShown) return false;
+    const preview = await requestAiPreview();
+    if (!preview) {
+        showAutoplaySummary();
+        return false;
+    }
+
+    const approved = guessApprovedAt === recording.actions.length;
+    guessApprovedAt = null;
+    // The opening move can't hit a mine (they are placed around it), and a guess the
+    // probabilities show is certainly safe needs no asking either
+    const opening = !session.board.mines_placed;
+    const riskyGuess = preview.kind === 'guess' && !opening && preview.confidence < 1;
+    if (riskyGuess && autoplayPauseGuessesInput.checked && !approved) {
+        guessApprovedAt = recording.actions.length;
+        const others = preview.cells.length > 1 ? ` (one of ${preview.cells.length} equally risky cells)` : '';
+        autoplayStatusText.textContent = `Autoplay paused: no cell is provably safe, so the next move is a guess ` +
+            `with a ${Math.round((1 - preview.confidence) * 100)}% chance of a mine${others}. Resume or Step to take it.`;
+        return false;
+    }
+
+    const move = playAiPreview(preview);
+    if (!move) {
+        showAutoplaySummary();
+        return false;
+    }
+    if (!opening) {
+        autoplayMoves[move.kind]++;
+    }
+    if (session.isOver()) {
+        showAutoplaySummary();
+        return false;
+    }
+    return true;
+}
+
+function showAutoplaySummary() {
+    const { safe, guess } = autoplayMoves;
+    const outcome = { won: 'Won', lost: 'Lost' }[session.status] || 'Stopped: the AI has no moves left';
+    autoplayStatusText.textContent = `Autoplay: ${outcome} after ${safe} safe ${safe === 1 ? 'move' : 'moves'} ` +
+        `and ${guess} ${guess === 1 ? 'guess' : 'guesses'}.`;
+}
+
+autoplayButton.addEventListener('click', () => {
+    if (autoplayTimer) {
+        interruptAutoplay();
     } else {
-        console.log("AI: Making safe move:", move);
-        // A safe move should never be a mine, but we check anyway
-        if (game.is_mine(move)) {
-            lost = true;
-        } else {
-            const nearby = game.nearby_mines(move);
-            revealed.add(`${move[0]},${move[1]}`);
-            ai.add_knowledge(move, nearby);
+        startAutoplay();
+    }
+});
+
+autoplayStepButton.addEventListener('click', async () => {
+    if (instructionsShown || session.isOver() || aiThinking) return;
+    pauseAutoplay();
+    autoplayStatusText.textContent = '';
+    try {
+        await autoplayStep();
+    } catch (error) {
+        if (!error.cancelled) {
+            console.error('AI move failed:', error);
         }
     }
-    draw(); // Redraw after AI move
+    pauseAutoplay(); // Update the button for the move just made
 });
 
-resetButton.addEventListener('click', () => {
-    initGame(); // Re-initialize all game state
-    draw();
+// --- Undo and Redo ---
+
+// Call before every move so it can be undone. Snapshots are GameSession.to_json() output.
+function pushUndo() {
+    undoStack.push(session.to_json());
+    if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    updateUndoButtons();
+}
+
+function undo() {
+    if (instructionsShown || undoStack.length === 0) return;
+    interruptAutoplay();
+    redoStack.push(session.to_json());
+    usedUndo = true;
+    announce('Move undone.');
+    recordAction(recording, session.board, 'undo', null, 'human');
+    updateUndoButtons();
+    session.restore(undoStack.pop());
+}
+
+function redo() {
+    if (instructionsShown || redoStack.length === 0) return;
+    interruptAutoplay();
+    undoStack.push(session.to_json());
+    announce('Move redone.');
+    recordAction(recording, session.board, 'redo', null, 'human');
+    updateUndoButtons();
+    session.restore(redoStack.pop());
+}
+
+function updateUndoButtons() {
+    undoButton.disabled = undoStack.length === 0;
+    redoButton.disabled = redoStack.length === 0;
+}
+
+undoButton.addEventListener('click', undo);
+redoButton.addEventListener('click', redo);
+
+// Ctrl+Z undoes; Ctrl+Y or Ctrl+Shift+Z redoes (Cmd instead of Ctrl on macOS)
+document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || gameScreen.classList.contains('hidden')) return;
+    if (event.target instanceof HTMLInputElement) return; // Leave text fields their own undo
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redo();
+    }
 });
 
-// --- Start the game ---
+// --- Keyboard and Screen Readers ---
+// The canvas is hidden from assistive technology. In its place is a visually hidden ARIA
+// grid with one cell per board cell, which takes the keyboard focus; its active cell is
+// the cursor, drawn on the canvas while the grid is focused.
+
+const CURSOR_MOVES = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+function buildBoardGrid() {
+    const { height, width } = session.board;
+    boardGrid.innerHTML = '';
+    gridCells = [];
+    for (let i = 0; i < height; i++) {
+        const row = document.createElement('div');
+        row.setAttribute('role', 'row');
+        gridCells.push([]);
+        for (let j = 0; j < width; j++) {
+            const cell = document.createElement('div');
+            cell.setAttribute('role', 'gridcell');
+            cell.id = `cell-${i}-${j}`;
+            row.appendChild(cell);
+            gridCells[i].push(cell);
+        }
+        boardGrid.appendChild(row);
+    }
+    cursorCell = [Math.floor(height / 2), Math.floor(width / 2)];
+    updateAllGridCells();
+    setCursor(cursorCell);
+}
+
+// What a player can see in a cell, in words
+function cellStateText(cell) {
+    const cellKey = `${cell[0]},${cell[1]}`;
+    if (session.status === 'lost' && session.board.is_mine(cell)) {
+        return cellKey === session.explodedCell ? 'exploded mine' : 'mine';
+    }
+    if (session.flags.has(cellKey)) return 'flagged';
+    if (!session.revealed.has(cellKey)) return 'hidden';
+    const nearby = session.board.nearby_mines(cell);
+    return nearby === 0 ? 'empty' : `${nearby}`;
+}
+
+function updateGridCells(cells) {
+    for (const cell of cells) {
+        gridCells[cell[0]][cell[1]].textContent = `${describeCell(cell)}: ${cellStateText(cell)}`;
+    }
+}
+
+function updateAllGridCells() {
+    for (let i = 0; i < session.board.height; i++) {
+        for (let j = 0; j < session.board.width; j++) {
+            updateGridCells([[i, j]]);
+        }
+    }
+}
+
+function setCursor(cell) {
+    cursorCell = cell;
+    boardGrid.setAttribute('aria-activedescendant', `cell-${cell[0]}-${cell[1]}`);
+}
+
+// Queue a message for the live region; it is read out when the current move finishes
+function announce(message) {
+    announcements.push(message);
+}
+
+function flushAnnouncements() {
+    if (flagsChanged) {
+        announcements.push(`${session.minesLeft()} mines left.`);
+        flagsChanged = false;
+    }
+    if (announcements.length > 0) {
+        announcer.textContent = announcements.join(' ');
+        announcements = [];
+    }
+}
+
+function announceReveal(cells, source) {
+    if (cells.length === 0) return;
+    const who = { 'human': '', 'ai-safe': 'AI safe move: ', 'ai-guess': 'AI guess: ' }[source];
+    const opened = cells.length > 1 ? `, opening ${cells.length} cells` : '';
+    announce(`${who}${describeCell(cells[0])}: ${cellStateText(cells[0])}${opened}.`);
+}
+
+boardGrid.addEventListener('keydown', (event) => {
+    if (!session || event.ctrlKey || event.metaKey || event.altKey) return;
+    const { height, width } = session.board;
+    const [i, j] = cursorCell;
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+
+    if (key in CURSOR_MOVES) {
+        // The cursor stops at the edges, except on wraparound boards
+        const wraps = session.board.topology.name === 'torus';
+        const move = (value, size) => wraps ? (value + size) % size : Math.max(0, Math.min(size - 1, value));
+        const [di, dj] = CURSOR_MOVES[key];
+        setCursor([move(i + di, height), move(j + dj, width)]);
+    } else if (key === 'Home') {
+        setCursor([i, 0]);
+    } else if (key === 'End') {
+        setCursor([i, width - 1]);
+    } else if (key === ' ' || key === 'Enter') {
+        if (playerMove('reveal', cursorCell) === false) {
+            announce(`${describeCell(cursorCell)} is ${cellStateText(cursorCell)}.`);
+            flushAnnouncements();
+        }
+    } else if (key === 'f') {
+        playerMove('flag', cursorCell);
+    } else if (key === 'c') {
+        if (playerMove('chord', cursorCell) === false) {
+            announce('Nothing to chord here.');
+            flushAnnouncements();
+        }
+    } else if (key === 'a') {
+        aiMove();
+    } else {
+        return;
+    }
+    event.preventDefault();
+    draw();
+});
+
+// Show or hide the cursor as the grid gains or loses focus
+boardGrid.addEventListener('focus', () => draw());
+boardGrid.addEventListener('blur', () => draw());
+
+// --- AI Overlay and Hints ---
+
+function describeCell([i, j]) {
+    return `row ${i + 1}, column ${j + 1}`;
+}
+
+function parseCellKey(cellKey) {
+    return cellKey.split(',').map(Number);
+}
+
+// A sentence for people to read, with 1-based cells: "2 mine(s) among (3,4) (3,5) (4,5)"
+function formatSentence(cells, count) {
+    const cellList = Array.from(cells, (key) => {
+        const [i, j] = parseCellKey(key);
+        return `(${i + 1},${j + 1})`;
+    }).join(' ');
+    return `${count} mine(s) among ${cellList}`;
+}
+
+// ai.mine_probabilities(), recomputed only when the AI has learned something new
+function currentProbabilities() {
+    const { ai } = session;
+    const stateKey = `${ai.moves_made.size}/${ai.knowledge.length}/${ai.mines.size}/${ai.safes.size}`;
+    if (!probabilityCache || probabilityCache.ai !== ai || probabilityCache.stateKey !== stateKey) {
+        probabilityCache = { ai, stateKey, probabilities: ai.mine_probabilities() };
+    }
+    return probabilityCache.probabilities;
+}
+
+// Which cells to highlight, and why, to justify what the AI knows about a cell:
+// the sentence that proved it safe or a mine, or else every sentence it appears in.
+// Returns { sentenceCells, sourceCells, text }; text starts with subject, which names the cell.
+function explainCell(cellKey, subject = describeCell(parseCellKey(cellKey))) {
+    const { ai } = session;
+    const deduction = ai.deductions.get(cellKey);
+    if (deduction) {
+        return {
+            sentenceCells: deduction.cells,
+            sourceCells: deduction.sources,
+            text: describeDeduction(cellKey, ai.mines.has(cellKey), deduction, subject)
+        };
+    }
+
+    const sentences = ai.knowledge.filter(sentence => sentence.cells.has(cellKey));
+    const sentenceCells = new Set();
+    const sourceCells = new Set();
+    for (const sentence of sentences) {
+        sentence.cells.forEach(key => sentenceCells.add(key));
+        sentence.sources.forEach(key => sourceCells.add(key));
+    }
+    const probability = currentProbabilities().get(cellKey);
+    let text = subject;
+    if (probability !== undefined) {
+        text += ` has a ${Math.round(probability * 100)}% chance of being a mine`;
+    }
+    if (sentences.length > 0) {
+        text += ` (it appears in ${sentences.length} constraint(s): ` +
+            `${sentences.map(sentence => formatSentence(sentence.cells, sentence.count)).join('; ')})`;
+    }
+    return { sentenceCells: Array.from(sentenceCells), sourceCells: Array.from(sourceCells), text: `${text}.` };
+}
+
+// Explain a MinesweeperAI.deductions entry: the sentence that proved a cell safe or a mine
+function describeDeduction(cellKey, mine, deduction, subject = describeCell(parseCellKey(cellKey))) {
+    const sources = deduction.sources.map(key => describeCell(parseCellKey(key))).join('; ');
+    return `${subject} is ${mine ? 'a mine' : 'safe'}: once the cells already worked out are set aside, ` +
+        `the number(s) at ${sources || 'the revealed cells'} leave ${formatSentence(deduction.cells, deduction.count)}.`;
+}
+
+// Turn the AI's next move (from requestAiPreview()) into a hint: a provably safe cell if
+// there is one, otherwise the lowest-risk guess. Returns null if there is nothing left to suggest.
+function computeHint(preview) {
+    if (!preview) return null;
+    // Point at the cell AI Move would play, which for a guess is one of several
+    const { cells, confidence } = preview;
+    const cell = parseCellKey(preview.cell);
+    if (preview.kind === 'safe') {
+        const explanation = explainCell(preview.cell, 'it');
+        return { cell, highlight: explanation, text: `Try ${describeCell(cell)} — ${explanation.text}` };
+    }
+
+    const percent = Math.round((1 - confidence) * 100);
+    const others = cells.length > 1 ? ` (${cells.length - 1} other cell(s) are just as risky)` : '';
+    return {
+        cell,
+        highlight: { sentenceCells: [], sourceCells: [] },
+        text: `No cell is provably safe. The best guess is ${describeCell(cell)}, with a ${percent}% chance of being a mine${others}.`
+    };
+}
+
+function outlineCell(cell, color, width) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    traceCell(ctx, session.board, cell, width / 2);
+    ctx.stroke();
+}
+
+function drawHighlight({ sentenceCells, sourceCells }) {
+    for (const cellKey of sentenceCells) {
+        outlineCell(parseCellKey(cellKey), SENTENCE_HIGHLIGHT, 3);
+    }
+    for (const cellKey of sourceCells) {
+        outlineCell(parseCellKey(cellKey), SOURCE_HIGHLIGHT, 3);
+    }
+}
+
+// Shade cells the AI knows are safe or mines, print the mine probability on the rest,
+// and outline the reasoning behind the hovered cell
+function drawAiOverlay() {
+    const { ai, revealed, flags } = session;
+    const probabilities = currentProbabilities();
+    ctx.font = `${Math.max(9, cellSize * 0.3)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (const [cellKey, probability] of probabilities) {
+        if (flags.has(cellKey) || revealed.has(cellKey)) continue;
+        const cell = parseCellKey(cellKey);
+        if (ai.safes.has(cellKey) || ai.mines.has(cellKey)) {
+            ctx.fillStyle = ai.safes.has(cellKey) ? SAFE_OVERLAY : MINE_OVERLAY;
+            ctx.beginPath();
+            traceCell(ctx, session.board, cell);
+            ctx.fill();
+        } else {
+            const { x, y } = cellCenter(session.board, cell);
+            ctx.fillStyle = renderTheme.probabilityText;
+            ctx.fillText(`${Math.round(probability * 100)}%`, x, y);
+        }
+    }
+
+    if (hoverCell && !hint) {
+        const hoverKey = `${hoverCell[0]},${hoverCell[1]}`;
+        if (!revealed.has(hoverKey)) {
+            drawHighlight(explainCell(hoverKey));
+        }
+    }
+}
+
+overlayButton.addEventListener('click', () => {
+    overlayEnabled = !overlayEnabled;
+    overlayButton.textContent = overlayEnabled ? 'Hide AI View' : 'Show AI View';
+    if (!overlayEnabled && !hint) {
+        aiExplanationText.textContent = '';
+    }
+    draw();
+});
+
+hintButton.addEventListener('click', async () => {
+    if (session.isOver() || instructionsShown || aiThinking) return;
+    aiUsed = true;
+    let preview;
+    try {
+        preview = await requestAiPreview();
+    } catch (error) {
+        if (!error.cancelled) {
+            console.error('Hint failed:', error);
+        }
+        return;
+    }
+    hint = computeHint(preview);
+    aiExplanationText.textContent = hint ? hint.text : 'There are no hidden cells left to suggest.';
+    draw();
+});
+
+gameCanvas.addEventListener('mousemove', (event) => {
+    if (!session) return;
+    const cell = cellFromEvent(event);
+    const changed = (cell === null) !== (hoverCell === null) ||
+        (cell && (cell[0] !== hoverCell[0] || cell[1] !== hoverCell[1]));
+    if (!changed) return;
+    hoverCell = cell;
+    if (overlayEnabled && !hint && session.status !== 'lost') {
+        const hoverKey = cell && `${cell[0]},${cell[1]}`;
+        aiExplanationText.textContent = cell && !session.revealed.has(hoverKey) ? explainCell(hoverKey).text : '';
+        draw(); // Outline the reasoning behind the new cell
+    }
+});
+
+gameCanvas.addEventListener('mouseleave', () => {
+    hoverCell = null;
+    if (!hint) {
+        aiExplanationText.textContent = '';
+    }
+    if (overlayEnabled && session) {
+        draw();
+    }
+});
+
+// --- Training ---
+// Every move the player makes is checked against what the AI has worked out (see
+// training.js). In training mode a needless guess or a flag on a safe cell asks first,
+// and every finished game gets a report of the mistakes it contained.
+
+// Play a move for the player: type is 'reveal', 'chord' or 'flag'. Returns what the
+// session's move returned, or null if the player backed out after a training warning.
+function playerMove(type, cell) {
+    if (trainingModeInput.checked) {
+        const mistake = findMistake(session, type, cell);
+        if (mistake) {
+            const reason = mistake.reasons.length > 0 ? `\n\n${describeMistakeReason(mistake.reasons[0])}` : '';
+            if (!confirm(`Training: ${describeMistake(mistake)}${reason}\n\n${TRAINING_PROMPTS[type]}`)) {
+                return null;
+            }
+        }
+    }
+    if (type === 'flag') return session.toggleFlag(cell);
+    return type === 'chord' ? session.chord(cell) : session.reveal(cell);
+}
+
+function describeMistake({ kind, type, cell, probability, safeCells }) {
+    const where = describeCell(parseCellKey(cell));
+    if (kind === 'safe-flag') {
+        return `flagging ${where}, which is provably safe`;
+    }
+    const move = type === 'chord' ? `chording on ${where}` : `revealing ${where}`;
+    if (kind === 'proven-mine') {
+        return `${move} opens a cell that is provably a mine`;
+    }
+    const count = safeCells.length === 1 ? '1 cell is' : `${safeCells.length} cells are`;
+    return `${move} is a guess with a ${Math.round(probability * 100)}% chance of a mine, while ${count} provably safe`;
+}
+
+function describeMistakeReason({ cell, verdict, deduction }) {
+    if (deduction) {
+        return describeDeduction(cell, verdict === 'mine', deduction);
+    }
+    return `${describeCell(parseCellKey(cell))} is ${verdict === 'mine' ? 'a mine' : 'safe'}: ` +
+        'counting the mines left over shows it, once every arrangement the numbers allow is weighed up.';
+}
+
+// List this game's mistakes under the board, and say whether a loss was down to one of them
+function showTrainingReport() {
+    const playerMoves = recording.actions.filter(action =>
+        action.source === 'human' && REPLAY_CELL_ACTIONS.includes(action.type)).length;
+    trainingMistakesList.innerHTML = '';
+    if (playerMoves === 0) {
+        trainingReport.classList.add('hidden');
+        return;
+    }
+
+    const mistakes = analyzeRecording(recording);
+    const lastStep = recording.actions.length;
+    const lastAction = recording.actions[lastStep - 1];
+    let verdict = '';
+    if (session.status === 'lost' && lastAction.source === 'human') {
+        const fatal = mistakes.find(mistake => mistake.step === lastStep);
+        verdict = fatal ? ' The move that lost the game was avoidable.'
+            : ' The move that lost the game was a forced guess: bad luck.';
+    }
+    trainingSummaryText.textContent = (mistakes.length === 0
+        ? 'No avoidable mistakes: every guess you made was forced.'
+        : `${mistakes.length} avoidable ${mistakes.length === 1 ? 'mistake' : 'mistakes'} (step numbers match the replay):`) + verdict;
+
+    for (const mistake of mistakes) {
+        const item = document.createElement('li');
+        const text = describeMistake(mistake);
+        item.textContent = `Step ${mistake.step}: ${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+        if (mistake.reasons.length > 0) {
+            const reasons = document.createElement('ul');
+            for (const reason of mistake.reasons) {
+                const reasonItem = document.createElement('li');
+                reasonItem.textContent = describeMistakeReason(reason);
+                reasons.appendChild(reasonItem);
+            }
+            const more = mistake.safeCells.length - mistake.reasons.length;
+            if (mistake.kind === 'avoidable-guess' && more > 0) {
+                const moreItem = document.createElement('li');
+                moreItem.textContent = `…and ${more} more provably safe ${more === 1 ? 'cell' : 'cells'}.`;
+                reasons.appendChild(moreItem);
+            }
+            item.appendChild(reasons);
+        }
+        trainingMistakesList.appendChild(item);
+    }
+    trainingReport.classList.remove('hidden');
+}
+
+// --- Statistics ---
+let statsReturnScreen = null; // Screen to go back to when the statistics are closed
+
+function openStats(returnScreen) {
+    statsReturnScreen = returnScreen;
+    renderStats();
+    returnScreen.classList.add('hidden');
+    statsScreen.classList.remove('hidden');
+}
+
+function closeStats() {
+    statsScreen.classList.add('hidden');
+    statsReturnScreen.classList.remove('hidden');
+}
+
+function renderStats() {
+    const rows = summarizeStats(loadStats().games);
+    statsTableBody.innerHTML = '';
+    statsEmptyText.classList.toggle('hidden', rows.length > 0);
+
+    for (const row of rows) {
+        const cells = [
+            `${row.board.replace('/', ', ')} mines, ${row.topology}`,
+            row.assisted ? 'AI / undo' : 'Human only',
+            row.played,
+            row.wins,
+            `${Math.round(row.winRate * 100)}%`,
+            row.currentStreak,
+            row.bestStreak,
+            row.bestTimeMs === null ? '–' : formatTime(row.bestTimeMs)
+        ];
+        const tableRow = document.createElement('tr');
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            tableRow.appendChild(cell);
+        }
+        statsTableBody.appendChild(tableRow);
+    }
+}
+
+statsButton.addEventListener('click', () => openStats(instructionsScreen));
+gameStatsButton.addEventListener('click', () => openStats(gameScreen));
+statsCloseButton.addEventListener('click', closeStats);
+
+clearStatsButton.addEventListener('click', () => {
+    if (confirm('Delete all statistics? This cannot be undone.')) {
+        clearStats();
+        renderStats();
+    }
+});
+
+// --- Replay Viewer ---
+const REPLAY_STEP_MS = 700; // Time per step at 1x speed
+const REPLAY_SOURCE_LABELS = { 'human': 'Player', 'ai-safe': 'AI (safe move)', 'ai-guess': 'AI (guess)' };
+const REPLAY_ACTION_LABELS = {
+    reveal: 'revealed',
+    chord: 'chorded',
+    flag: 'toggled a flag on',
+    undo: 'undid the last move',
+    redo: 'redid the move'
+};
+
+let replayRecording = null;
+let replayBoard = null;
+let replayFrames = [];
+let replayIndex = 0;
+let replayTimer = null;
+let replayReturnScreen = null; // Screen to go back to when the viewer is closed
+
+function openReplay(data, returnScreen) {
+    validateRecording(data);
+    replayRecording = data;
+    replayBoard = Minesweeper.from_json(data.board);
+    replayFrames = buildReplayFrames(data);
+    replayIndex = 0;
+    replayReturnScreen = returnScreen;
+
+    instructionsScreen.classList.add('hidden');
+    gameScreen.classList.add('hidden');
+    replayScreen.classList.remove('hidden');
+    fitCanvasToViewport(replayCanvas, replayBoard);
+    showReplayFrame();
+}
+
+function closeReplay() {
+    pauseReplay();
+    replayScreen.classList.add('hidden');
+    replayReturnScreen.classList.remove('hidden');
+    if (replayReturnScreen === gameScreen) {
+        fitCanvasToViewport();
+        draw();
+    }
+}
+
+// Redraw the replay canvas at the current step and describe the action that led to it
+function showReplayFrame() {
+    const frame = replayFrames[replayIndex];
+    replayRenderer.update({
+        board: replayBoard,
+        revealed: frame.revealed,
+        flags: frame.flags,
+        showMines: frame.lost,
+        explodedCell: frame.explodedCell,
+        cellSize
+    });
+
+    const total = replayFrames.length - 1;
+    let description = `Step ${replayIndex} of ${total}`;
+    if (frame.action) {
+        const { type, cell, source, timestamp } = frame.action;
+        const seconds = ((timestamp - replayRecording.startedAt) / 1000).toFixed(1);
+        description += ` (${seconds}s): ${REPLAY_SOURCE_LABELS[source]} ${REPLAY_ACTION_LABELS[type]}`;
+        if (cell) {
+            description += ` ${describeCell(cell)}`;
+        }
+        if (frame.lost && !replayFrames[replayIndex - 1].lost) {
+            description += ' and hit a mine!';
+        }
+    }
+    replayStepText.textContent = description;
+    replayBackButton.disabled = replayIndex === 0;
+    replayForwardButton.disabled = replayIndex === total;
+}
+
+function stepReplay(delta) {
+    replayIndex = Math.max(0, Math.min(replayFrames.length - 1, replayIndex + delta));
+    showReplayFrame();
+}
+
+function playReplay() {
+    if (replayIndex === replayFrames.length - 1) {
+        replayIndex = 0; // Start over from the beginning
+    }
+    replayPlayButton.textContent = 'Pause';
+    replayTimer = setInterval(() => {
+        stepReplay(1);
+        if (replayIndex === replayFrames.length - 1) {
+            pauseReplay();
+        }
+    }, REPLAY_STEP_MS / Number(replaySpeedSelect.value));
+}
+
+function pauseReplay() {
+    clearInterval(replayTimer);
+    replayTimer = null;
+    replayPlayButton.textContent = 'Play';
+}
+
+replayButton.addEventListener('click', () => {
+    if (!recording) return;
+    interruptAutoplay();
+    // Copy, so the viewer isn't affected by moves made after it closes
+    openReplay(JSON.parse(JSON.stringify(recording)), gameScreen);
+});
+
+loadReplayButton.addEventListener('click', () => {
+    replayFileInput.click();
+});
+
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Allow the same file to be picked again
+    if (!file) return;
+
+    readJsonFile(file).then((data) => {
+        setupError.textContent = '';
+        openReplay(data, instructionsScreen);
+    }).catch((error) => {
+        setupError.textContent = error.message;
+    });
+});
+
+replayPlayButton.addEventListener('click', () => {
+    if (replayTimer) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+});
+
+replayBackButton.addEventListener('click', () => {
+    pauseReplay();
+    stepReplay(-1);
+});
+
+replayForwardButton.addEventListener('click', () => {
+    pauseReplay();
+    stepReplay(1);
+});
+
+replaySpeedSelect.addEventListener('change', () => {
+    // Restart the timer at the new speed
+    if (replayTimer) {
+        pauseReplay();
+        playReplay();
+    }
+});
+
+replayDownloadButton.addEventListener('click', () => {
+    downloadJson(`minesweeper-replay-${replayRecording.boardCode}.json`, replayRecording);
+});
+
+replayCloseButton.addEventListener('click', closeReplay);
+
+// --- Board Editor ---
+// Set up a position by hand (mines, revealed cells and flags), read and write it as text
+// (see board_text.js), ask the AI what the revealed numbers prove, and play it
+
+let editorPosition = null; // { height, width, topology, mines, revealed, flags }, the last three Sets of "row,col" keys
+let editorBoard = null;    // Minesweeper with editorPosition's mines
+let editorAnalysis = null; // analyzePosition() of the position as it is now, once asked for
+let editorReturnScreen = null; // Screen to go back to when the editor is closed
+
+function openEditor(position, returnScreen) {
+    editorReturnScreen = returnScreen;
+    editorErrorText.textContent = '';
+    returnScreen.classList.add('hidden');
+    editorScreen.classList.remove('hidden');
+    setEditorPosition(position);
+}
+
+function closeEditor() {
+    editorPosition = null;
+    editorBoard = null;
+    editorScreen.classList.add('hidden');
+    editorReturnScreen.classList.remove('hidden');
+    if (editorReturnScreen === gameScreen) {
+        fitCanvasToViewport();
+        draw();
+    }
+}
+
+// The position in session, or an empty board the same size if its mines aren't down yet
+function sessionPosition(session) {
+    const { board } = session;
+    return {
+        height: board.height,
+        width: board.width,
+        topology: board.topology.name,
+        mines: board.mines_placed ? Array.from(board.mines) : [],
+        revealed: Array.from(session.revealed),
+        flags: Array.from(session.flags)
+    };
+}
+
+// editorPosition with lists in place of Sets, as board_text.js takes it
+function editorPositionData() {
+    const { mines, revealed, flags } = editorPosition;
+    return { ...editorPosition, mines: Array.from(mines), revealed: Array.from(revealed), flags: Array.from(flags) };
+}
+
+function setEditorPosition(position) {
+    editorPosition = {
+        ...position,
+        mines: new Set(position.mines),
+        revealed: new Set(position.revealed),
+        flags: new Set(position.flags)
+    };
+    editorChanged();
+    fitCanvasToViewport(editorCanvas, editorBoard);
+    drawEditor();
+}
+
+// After every edit: any analysis is out of date, and the text is rewritten to match
+function editorChanged() {
+    editorBoard = positionBoard(editorPositionData());
+    editorAnalysis = null;
+    editorAnalysisPanel.textContent = '';
+    editorTextInput.value = formatBoardText({ board: editorBoard, ...editorPosition });
+    const { height, width, mines, revealed, flags } = editorPosition;
+    editorInfoText.textContent = `${height}x${width} ${editorPosition.topology} board · ${mines.size} mine(s) · ` +
+        `${revealed.size} revealed · ${flags.size} flag(s)`;
+    drawEditor();
+}
+
+// Mines can't be revealed, so marking a cell as one or the other undoes the other.
+// Flags go on hidden cells, mines or not.
+function applyEditorTool(cell, tool) {
+    const cellKey = `${cell[0]},${cell[1]}`;
+    const { mines, revealed, flags } = editorPosition;
+    editorErrorText.textContent = '';
+    if (tool === 'mine') {
+        if (mines.has(cellKey)) {
+            mines.delete(cellKey);
+        } else if (mines.size < editorPosition.height * editorPosition.width - 1) {
+            mines.add(cellKey);
+            revealed.delete(cellKey);
+        } else {
+            editorErrorText.textContent = 'At least one cell has to be safe.';
+            return;
+        }
+    } else if (tool === 'reveal') {
+        if (mines.has(cellKey)) {
+            editorErrorText.textContent = `${describeCell(cell)} is a mine, so it can't be revealed.`;
+            return;
+        }
+        if (!revealed.delete(cellKey)) {
+            revealed.add(cellKey);
+            flags.delete(cellKey);
+        }
+    } else if (!revealed.has(cellKey) && !flags.delete(cellKey)) {
+        flags.add(cellKey);
+    }
+    editorChanged();
+}
+
+function drawEditor() {
+    // Every mine is on show, and flags on cells that aren't mines are crossed out
+    editorRenderer.update({
+        board: editorBoard,
+        revealed: editorPosition.revealed,
+        flags: editorPosition.flags,
+        showMines: true,
+        explodedCell: null,
+        cellSize
+    });
+}
+
+// Shade the analysis's forced cells and print the mine chance on the rest
+function drawEditorAnalysis(context) {
+    if (editorAnalysis && editorBoard) {
+        for (const [cells, color] of [[editorAnalysis.safes, SAFE_OVERLAY], [editorAnalysis.mines, MINE_OVERLAY]]) {
+            context.fillStyle = color;
+            for (const cellKey of cells) {
+                context.beginPath();
+                traceCell(context, editorBoard, parseCellKey(cellKey));
+                context.fill();
+            }
+        }
+        context.font = `${Math.max(9, cellSize * 0.3)}px Arial`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = renderTheme.probabilityText;
+        for (const { cell, probability } of editorAnalysis.ambiguous) {
+            const { x, y } = cellCenter(editorBoard, parseCellKey(cell));
+            context.fillText(`${Math.round(probability * 100)}%`, x, y);
+        }
+    }
+}
+
+// List the forced safes, forced mines and ambiguous cells under the editor
+function showEditorAnalysis() {
+    const { safes, mines, ambiguous, inferred } = editorAnalysis;
+    const cellList = (cellKeys) => cellKeys.map(cellKey => {
+        const [i, j] = parseCellKey(cellKey);
+        return `(${i + 1},${j + 1})`;
+    }).join(' ') || 'none';
+    // Forced cells the AI's sentences miss, found only by weighing every arrangement of mines
+    const byCounting = (cellKeys) => {
+        const count = cellKeys.filter(cellKey => !inferred.has(cellKey)).length;
+        return count > 0 ? ` — ${count} only by counting the remaining mines` : '';
+    };
+    const lines = [
+        [`Forced safe (${safes.length}${byCounting(safes)}): `, cellList(safes)],
+        [`Forced mines (${mines.length}${byCounting(mines)}): `, cellList(mines)],
+        [`Ambiguous (${ambiguous.length}): `, ambiguous.map(({ cell, probability }) =>
+            `${cellList([cell])} ${Math.round(probability * 100)}%`).join(', ') || 'none']
+    ];
+    editorAnalysisPanel.textContent = '';
+    for (const [label, text] of lines) {
+        const paragraph = document.createElement('p');
+        const strong = document.createElement('strong');
+        strong.textContent = label;
+        paragraph.append(strong, text);
+        editorAnalysisPanel.appendChild(paragraph);
+    }
+}
+
+// Check the editor's size against the game's limits before playing it
+function validateEditorPosition() {
+    const { height, width, mines } = editorPosition;
+    return validateBoardSettings({ height, width, mines: mines.size, generation: 'fixed' });
+}
+
+editorButton.addEventListener('click', () => {
+    const settings = readBoardSettings();
+    if (!settings) return;
+    setupError.textContent = '';
+    const { height, width, topology } = settings;
+    // A board code for a fixed layout opens with its mines in place
+    openEditor({ height, width, topology, mines: settings.layout || [], revealed: [], flags: [] }, instructionsScreen);
+});
+
+editPositionButton.addEventListener('click', () => {
+    if (!session) return;
+    interruptAutoplay();
+    openEditor(sessionPosition(session), gameScreen);
+});
+
+editorCanvas.addEventListener('click', (event) => {
+    const cell = boardCellAt(event, editorCanvas, editorBoard);
+    if (cell) {
+        applyEditorTool(cell, document.querySelector('input[name="editor-tool"]:checked').value);
+    }
+});
+
+// Right-click flags whatever the tool
+editorCanvas.addEventListener('contextmenu', (event) => {
+    event.preventDefault();
+    const cell = boardCellAt(event, editorCanvas, editorBoard);
+    if (cell) {
+        applyEditorTool(cell, 'flag');
+    }
+});
+
+editorClearButton.addEventListener('click', () => {
+    const { height, width, topology } = editorPosition;
+    editorErrorText.textContent = '';
+    setEditorPosition({ height, width, topology, mines: [], revealed: [], flags: [] });
+});
+
+editorLoadTextButton.addEventListener('click', () => {
+    let position;
+    try {
+        position = parseBoardText(editorTextInput.value);
+    } catch (error) {
+        editorErrorText.textContent = error.message;
+        return;
+    }
+    if (position.mines.length >= position.height * position.width) {
+        editorErrorText.textContent = 'At least one cell has to be safe.';
+        return;
+    }
+    editorErrorText.textContent = '';
+    setEditorPosition(position);
+});
+
+editorAnalyzeButton.addEventListener('click', () => {
+    editorAnalysis = analyzePosition(editorBoard, editorPosition.revealed);
+    showEditorAnalysis();
+    drawEditor();
+});
+
+editorPlayButton.addEventListener('click', () => {
+    const problem = validateEditorPosition();
+    if (problem) {
+        editorErrorText.textContent = problem;
+        return;
+    }
+    const position = editorPositionData();
+    closeEditor();
+    clearSavedGame(); // Like a new game, this replaces any saved one
+    resetGameState();
+    attachSession(positionSession(position));
+    recording = createRecording(session.board, position, solverSelect.value);
+    boardCodeText.textContent = session.board.board_code();
+    fitCanvasToViewport();
+    showGameScreen();
+    updateStatusText();
+});
+
+editorCloseButton.addEventListener('click', closeEditor);
+
+// --- Versus Mode ---
+// The player races MinesweeperAI on two copies of the same board (see versus.js). The
+// AI moves on a timer at the chosen pace; the race ends when both sides have won or lost,
+// or when the player ends it, and the results compare the two.
+
+const VERSUS_CLOCK_MS = 100; // How often the race clock is redrawn
+
+// { player, ai, startTime, finished, aiTimer, aiClient, aiThinking, clockTimer } while the
+// race screen is open. The AI side thinks in a worker of its own (aiClient) when it can.
+let versus = null;
+
+function startVersus() {
+    const settings = readBoardSettings();
+    if (!settings) return;
+
+    const match = createVersusMatch({ ...settings, solver: solverSelect.value });
+    versus = {
+        player: { session: match.player, guesses: 0, endTime: null },
+        ai: { session: match.ai, guesses: 0, endTime: null },
+        startTime: Date.now(),
+        finished: false,
+        aiTimer: null,
+        aiClient: createAiClient(),
+        aiThinking: false,
+        clockTimer: setInterval(updateVersusClock, VERSUS_CLOCK_MS)
+    };
+    const { aiClient } = versus;
+    if (aiClient) {
+        const { session } = versus.ai;
+        syncAiClient(aiClient, session);
+        session.on('reveal', ({ cells }) => {
+            if (!aiClient.failed) {
+                aiClient.addKnowledge(cells.map(cell => [cell, session.board.nearby_mines(cell)])).catch(reportAiWorkerError);
+            }
+        });
+    }
+    for (const side of [versus.player, versus.ai]) {
+        side.session.on('status', () => {
+            if (side.session.isOver()) {
+                side.endTime = Date.now();
+                if (versusDone()) {
+                    finishVersus();
+                }
+            }
+        });
+        side.session.on('change', drawVersus);
+    }
+    versus.player.session.on('action', ({ type, cell }) => {
+        if (isVersusGuess(versus.player.session, type, cell)) {
+            versus.player.guesses++;
+        }
+    });
+    versus.ai.session.on('action', ({ source }) => {
+        if (source === 'ai-guess') {
+            versus.ai.guesses++;
+        }
+    });
+
+    setupError.textContent = '';
+    instructionsScreen.classList.add('hidden');
+    versusScreen.classList.remove('hidden');
+    versusResults.classList.add('hidden');
+    versusEndButton.classList.remove('hidden');
+    fitVersusCanvases();
+    startVersusAi();
+    updateVersusClock();
+    drawVersus();
+}
+
+function startVersusAi() {
+    versus.aiTimer = setInterval(versusAiStep, Number(versusPaceSelect.value));
+}
+
+// The AI side's next move. A move that takes longer to think up than the pace allows
+// holds up the next one.
+async function versusAiStep() {
+    const race = versus;
+    if (race.aiThinking) return;
+
+    let preview;
+    race.aiThinking = true;
+    try {
+        preview = await requestVersusAiPreview(race);
+    } catch (error) {
+        if (!error.cancelled) {
+            console.error('AI move failed:', error);
+        }
+        return;
+    } finally {
+        race.aiThinking = false;
+    }
+    if (race.aiTimer === null) return; // The race ended while the AI was thinking
+
+    const { session } = race.ai;
+    const move = preview && session.aiStep({ proposal: preview });
+    if (!move || session.isOver()) {
+        stopVersusAi();
+        if (versusDone()) {
+            finishVersus();
+        }
+    }
+}
+
+// What the AI side would play next, as requestAiPreview() works it out for the main game
+async function requestVersusAiPreview(race) {
+    const { session } = race.ai;
+    if (race.aiClient && !race.aiClient.failed) {
+        try {
+            return await race.aiClient.requestMove();
+        } catch (error) {
+            if (error.cancelled) throw error;
+            reportAiWorkerError(error); // The worker is broken, so think here instead
+        }
+    }
+    return session.previewAiStep();
+}
+
+// The race is over once the player's game is and the AI has stopped: won, lost or
+// out of moves
+function versusDone() {
+    return versus.player.session.isOver() && (versus.ai.session.isOver() || versus.aiTimer === null);
+}
+
+function stopVersusAi() {
+    clearInterval(versus.aiTimer);
+    versus.aiTimer = null;
+}
+
+// Stop the AI for good, and its worker with it
+function closeVersusAi() {
+    stopVersusAi();
+    if (versus.aiClient) {
+        versus.aiClient.close();
+    }
+}
+
+// Stop the race and show the results. Sides still playing count as unfinished.
+function finishVersus() {
+    if (versus.finished) return;
+    versus.finished = true;
+    closeVersusAi();
+    clearInterval(versus.clockTimer);
+    const now = Date.now();
+    for (const side of [versus.player, versus.ai]) {
+        if (side.endTime === null) {
+            side.endTime = now;
+        }
+    }
+    updateVersusClock();
+    showVersusResults();
+    drawVersus();
+}
+
+function closeVersus() {
+    if (versus) {
+        closeVersusAi();
+        clearInterval(versus.clockTimer);
+        versus = null;
+    }
+    versusScreen.classList.add('hidden');
+    instructionsScreen.classList.remove('hidden');
+}
+
+// How one side did, as versusWinner() wants it
+function versusSideResult(side) {
+    return {
+        status: side.session.status,
+        timeMs: side.endTime - versus.startTime,
+        revealed: side.session.revealed.size,
+        guesses: side.guesses
+    };
+}
+
+function showVersusResults() {
+    const player = versusSideResult(versus.player);
+    const ai = versusSideResult(versus.ai);
+    versusWinnerText.textContent = {
+        player: 'You win!',
+        ai: 'The AI wins!',
+        draw: "It's a draw!"
+    }[versusWinner(player, ai)];
+
+    const safeCells = versus.player.session.safeCellCount();
+    const rows = [
+        ['Outcome', result => VERSUS_OUTCOME_LABELS[result.status]],
+        ['Time', result => formatTime(result.timeMs)],
+        ['Guesses', result => String(result.guesses)],
+        ['Cells revealed', result => `${result.revealed} / ${safeCells}`]
+    ];
+    versusResultsBody.textContent = '';
+    for (const [label, format] of rows) {
+        const row = document.createElement('tr');
+        for (const text of [label, format(player), format(ai)]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        versusResultsBody.appendChild(row);
+    }
+    versusResults.classList.remove('hidden');
+    versusEndButton.classList.add('hidden');
+}
+
+function updateVersusClock() {
+    const end = versus.finished ? Math.max(versus.player.endTime, versus.ai.endTime) : Date.now();
+    versusTimerText.textContent = formatTime(end - versus.startTime);
+}
+
+// Both boards are the same size, so they share one cell size
+function fitVersusCanvases() {
+    fitCanvasToViewport(versusPlayerCanvas, versus.player.session.board, 2);
+    fitCanvasToViewport(versusAiCanvas, versus.ai.session.board, 2);
+}
+
+function drawVersus() {
+    if (!versus) return;
+    const sides = [
+        [versus.player, versusPlayerRenderer, versusPlayerStatusText],
+        [versus.ai, versusAiRenderer, versusAiStatusText]
+    ];
+    for (const [side, renderer, statusText] of sides) {
+        const { session } = side;
+        renderer.update(sessionRenderState(session));
+
+        const cellsLeft = session.safeCellCount() - session.revealed.size;
+        const outcome = session.isOver() ? `${VERSUS_OUTCOME_LABELS[session.status]} in ${formatTime(side.endTime - versus.startTime)}`
+            : `${cellsLeft} safe ${cellsLeft === 1 ? 'cell' : 'cells'} left`;
+        statusText.textContent = `${outcome} · ${side.guesses} ${side.guesses === 1 ? 'guess' : 'guesses'}`;
+    }
+}
+
+function versusPlayerCell(event) {
+    return boardCellAt(event, versusPlayerCanvas, versus.player.session.board);
+}
+
+versusButton.addEventListener('click', startVersus);
+
+// Click reveals, or chords on a revealed number; right-click (or a long press) flags
+versusPlayerCanvas.addEventListener('click', (event) => {
+    if (!versus || versus.finished) return;
+    const cell = versusPlayerCell(event);
+    if (!cell) return;
+    const { session } = versus.player;
+    if (session.isRevealed(cell)) {
+        session.chord(cell);
+    } else {
+        session.reveal(cell);
+    }
+});
+
+versusPlayerCanvas.addEventListener('contextmenu', (event) => {
+    event.preventDefault();
+    if (!versus || versus.finished) return;
+    const cell = versusPlayerCell(event);
+    if (cell) {
+        versus.player.session.toggleFlag(cell);
+    }
+});
+
+versusPaceSelect.addEventListener('change', () => {
+    // Restart the AI at the new pace
+    if (versus && versus.aiTimer) {
+        stopVersusAi();
+        startVersusAi();
+    }
+});
+
+versusEndButton.addEventListener('click', () => {
+    if (versus) {
+        finishVersus();
+    }
+});
+
+versusCloseButton.addEventListener('click', closeVersus);
+
+// --- Themes ---
+
+themeSelect.addEventListener('change', () => {
+    setRenderTheme(themeSelect.value);
+    saveTheme(themeSelect.value);
+});
+
+// --- Solvers ---
+// Every strategy registered with register_solver() can play the AI's moves (see
+// solvers.js). Switching mid-game gives the session a new solver that has learned the
+// numbers revealed so far.
+
+const SOLVER_STORAGE_KEY = 'minesweeper-ai.solver';
+
+function loadSolverChoice() {
+    try {
+        const name = localStorage.getItem(SOLVER_STORAGE_KEY);
+        return SOLVER_STRATEGIES.has(name) ? name : DEFAULT_SOLVER;
+    } catch (error) {
+        return DEFAULT_SOLVER;
+    }
+}
+
+function saveSolverChoice(name) {
+    try {
+        localStorage.setItem(SOLVER_STORAGE_KEY, name);
+    } catch (error) {
+        console.warn('Could not save the solver choice:', error);
+    }
+}
+
+for (const [name, { label, description }] of SOLVER_STRATEGIES) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = label;
+    option.title = description;
+    solverSelect.appendChild(option);
+}
+
+solverSelect.addEventListener('change', () => {
+    saveSolverChoice(solverSelect.value);
+    if (!session || !session.solver) return;
+    session.useSolver(solverSelect.value);
+    recording.solver = solverSelect.value;
+    boardVersion++; // A move the old solver is still working out gets asked for again
+    syncAiWorker();
+    hint = null;
+    aiExplanationText.textContent = '';
+    draw();
+});
+
+// --- Start the game ---
+themeSelect.value = loadTheme();
+setRenderTheme(themeSelect.value);
+solverSelect.value = loadSolverChoice();
+// Moves repaint the board, but the clock has to keep counting in between
+setInterval(() => {
+    if (session && !instructionsShown) {
+        updateGameInfo();
+    }
+}, CLOCK_TICK_MS);
 initGame();
\ No newline at end of file
@@ -0,0 +1,415 @@
+// game_session.js
+//
+// The rules of a single game, independent of any UI: the board, which cells are
+// revealed or flagged, whether the game is still going, and keeping the AI and the solver
+// that plays its moves told about every number uncovered. They only learn the numbers when
+// they are next used (see catchUp()), so a front-end whose solver thinks in a Web Worker
+// doesn't do the same work again on the page. Front-ends drive it with
+// reveal/chord/toggleFlag/aiStep and subscribe to its events to redraw, record and score.
+
+// Under Node (e.g. simulate.js) the game logic isn't loaded with a <script> tag,
+// so pull it in here
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./minesweeper_logic.js'), require('./solvers.js'));
+}
+
+// ready: nothing revealed yet; playing; won: every safe cell revealed; lost: a mine revealed
+const SESSION_STATUSES = ['ready', 'playing', 'won', 'lost'];
+// Events a session emits, with what their listeners receive:
+//   action  { type, cell, source }  a move was accepted, before it takes effect
+//   reveal  { cells, source }       cells were uncovered
+//   flag    { cell, flagged, source }
+//   status  { status, previous }
+//   win     {}                      every safe cell is revealed (the mines get flagged)
+//   lose    { cell, source }        a mine was revealed
+//   restore {}                      the state was replaced by restore()
+//   change  {}                      after every accepted move and every restore
+const SESSION_EVENTS = ['action', 'reveal', 'flag', 'status', 'win', 'lose', 'restore', 'change'];
+// What to_json() saves as the solver when it is the AI
+const SHARED_SOLVER = 'ai';
+
+class GameSession {
+    // board is a Minesweeper. options.solver is the solver that plays aiStep() (see
+    // solvers.js), or the name of a strategy to make one with (seeded from the board, so
+    // its guesses are reproducible too): DEFAULT_SOLVER by default, null for none.
+    // options.ai is the MinesweeperAI whose knowledge base shows what the numbers prove,
+    // for the AI view, hints and training; null plays without one. By default it is the
+    // solver itself when that is a MinesweeperAI (as the built-in strategies are), so the
+    // numbers are only learned once, and otherwise one of its own.
+    constructor(board, options = {}) {
+        this.board = board;
+        this.revealed = new Set(); // "row,col" keys
+        this.flags = new Set();
+        this.status = 'ready';
+        this.explodedCell = null; // Key of the mine that lost the game
+        this.unobserved = []; // Keys of revealed cells the AI and solver haven't been told about
+        const solver = options.solver !== undefined ? options.solver : DEFAULT_SOLVER;
+        this.solver = typeof solver === 'string' ? this._createSolver(solver) : solver;
+        if (options.ai !== undefined) {
+            this.ai = options.ai;
+        } else {
+            this.ai = this._solver instanceof MinesweeperAI ? this._solver
+                : new MinesweeperAI(board.height, board.width, board.mine_count, this._aiOptions());
+        }
+        this.listeners = new Map();
+    }
+
+    // --- Events ---
+
+    on(event, listener) {
+        if (!SESSION_EVENTS.includes(event)) {
+            throw new Error(`Unknown game session event: ${event}`);
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return this;
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+        return this;
+    }
+
+    emit(event, detail = {}) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            for (const listener of Array.from(listeners)) {
+                listener(detail);
+            }
+        }
+    }
+
+    // --- The AI and the solver ---
+    // Reading either brings both up to date first
+
+    get ai() {
+        this.catchUp();
+        return this._ai;
+    }
+
+    set ai(ai) {
+        this._ai = ai;
+    }
+
+    get solver() {
+        this.catchUp();
+        return this._solver;
+    }
+
+    set solver(solver) {
+        this._solver = solver;
+    }
+
+    // Whether there is a solver to play aiStep(), without bringing it up to date
+    hasSolver() {
+        return this._solver !== null;
+    }
+
+    // Tell the AI and the solver every number revealed since they were last used
+    catchUp() {
+        const cellKeys = this.unobserved;
+        this.unobserved = [];
+        for (const [cell, count] of this._knowledge(cellKeys)) {
+            if (this._ai) {
+                this._ai.add_knowledge(cell, count);
+            }
+            if (this._solver && this._solver !== this._ai) {
+                this._solver.observe(cell, count);
+            }
+        }
+    }
+
+    // The solver's to_json() as of the last time it was used, and the [cell, count] it
+    // hasn't been told about since: enough to bring a copy of it (in a Web Worker, say) up
+    // to date without doing that here
+    solverSnapshot() {
+        return { state: this._solver.to_json(), cells: this._knowledge(this.unobserved) };
+    }
+
+    // [cell, count] for each revealed cell in cellKeys
+    _knowledge(cellKeys) {
+        return cellKeys.map(cellKey => {
+            const cell = cellKey.split(',').map(Number);
+            return [cell, this.board.nearby_mines(cell)];
+        });
+    }
+
+    // --- State ---
+
+    isOver() {
+        return this.status === 'won' || this.status === 'lost';
+    }
+
+    safeCellCount() {
+        return this.board.height * this.board.width - this.board.mine_count;
+    }
+
+    // Mines not yet accounted for by a flag (negative if there are too many flags)
+    minesLeft() {
+        return this.board.mine_count - this.flags.size;
+    }
+
+    isRevealed(cell) {
+        return this.revealed.has(`${cell[0]},${cell[1]}`);
+    }
+
+    isFlagged(cell) {
+        return this.flags.has(`${cell[0]},${cell[1]}`);
+    }
+
+    // The hidden cells a reveal or chord on cell would open by itself, before any zero
+    // cascades: none if the move wouldn't be accepted
+    cellsOpenedBy(type, cell) {
+        if (this.isOver()) return [];
+        if (type === 'reveal') {
+            return this.isRevealed(cell) || this.isFlagged(cell) ? [] : [cell];
+        }
+        if (type !== 'chord' || !this.isRevealed(cell)) return [];
+        const neighbours = this.board.neighbours(cell);
+        const flagged = neighbours.filter(neighbour => this.isFlagged(neighbour)).length;
+        if (flagged !== this.board.nearby_mines(cell)) return [];
+        return neighbours.filter(neighbour => !this.isFlagged(neighbour) && !this.isRevealed(neighbour));
+    }
+
+    // --- Moves ---
+    // Each returns true if the move was accepted, or false if it doesn't apply
+    // (the game is over, or the cell is already open, flagged, and so on).
+    // source says who made it: 'human', 'ai-safe' or 'ai-guess' (see replay.js).
+
+    // Reveal a hidden cell, placing the mines first if this is the opening move. A cell
+    // with no neighbouring mines opens up its whole zero region and numbered border.
+    // Players can't reveal a cell they flagged, but an AI move clears the flag first.
+    reveal(cell, source = 'human') {
+        if (this.isOver() || this.isRevealed(cell)) return false;
+        if (this.isFlagged(cell) && source === 'human') return false;
+
+        this.emit('action', { type: 'reveal', cell, source });
+        if (this.isFlagged(cell)) {
+            this._setFlag(cell, false, source);
+        }
+        this._reveal(cell, source);
+        this.emit('change');
+        return true;
+    }
+
+    // Chord on a revealed number: once as many neighbours are flagged as the number says,
+    // reveal all of its other hidden neighbours. A wrongly placed flag means one of them is a mine.
+    chord(cell, source = 'human') {
+        const hidden = this.cellsOpenedBy('chord', cell);
+        if (hidden.length === 0) return false;
+
+        this.emit('action', { type: 'chord', cell, source });
+        for (const neighbour of hidden) {
+            // An earlier neighbour's cascade may already have opened this one
+            if (!this.isRevealed(neighbour)) {
+                this._reveal(neighbour, source);
+            }
+            if (this.isOver()) break;
+        }
+        this.emit('change');
+        return true;
+    }
+
+    // Flag a hidden cell, or take its flag away
+    toggleFlag(cell, source = 'human') {
+        if (this.isOver() || this.isRevealed(cell)) return false;
+
+        this.emit('action', { type: 'flag', cell, source });
+        this._setFlag(cell, !this.isFlagged(cell), source);
+        this.emit('change');
+        return true;
+    }
+
+    // Let the solver play one move: what it proposes, a cell it has proven safe or its best
+    // guess (options.guess = 'random' guesses any unplayed cell the AI doesn't know is a
+    // mine instead). options.proposal can pass in what previewAiStep() returns if it is
+    // already known, say from a copy of the solver in a Web Worker; then the solver here
+    // isn't asked at all. Returns { cell, kind: 'safe' | 'guess', confidence }, with the
+    // solver's chance that the cell is safe (null for a random guess), or null if there is
+    // no solver, the game is over, or the solver has nothing left to try.
+    aiStep(options = {}) {
+        if (!this.hasSolver() || this.isOver()) return null;
+
+        const proposal = options.proposal || this.previewAiStep();
+        if (proposal === null) return null;
+        const { kind } = proposal;
+        let cell;
+        let { confidence } = proposal;
+        if (kind === 'guess' && options.guess === 'random' && this.ai) {
+            cell = this.ai.make_random_move();
+            if (cell === null) return null; // Every unplayed cell is a known mine
+            confidence = null;
+        } else {
+            cell = proposal.cell.split(',').map(Number);
+        }
+
+        this.reveal(cell, kind === 'safe' ? 'ai-safe' : 'ai-guess');
+        return { cell, kind, confidence };
+    }
+
+    // What aiStep() would do next, without doing it: the solver's proposal with the cell it
+    // would play (see propose_move() in solvers.js), or null when aiStep() would return null
+    previewAiStep() {
+        if (!this.hasSolver() || this.isOver()) return null;
+        return propose_move(this.solver);
+    }
+
+    // Switch to a new solver of the named strategy, told every number already revealed.
+    // It becomes the AI too if it can be.
+    useSolver(name) {
+        this.catchUp(); // The AI may stay, and the new solver will know everything anyway
+        this.solver = this._createSolver(name);
+        if (this.ai && this.solver instanceof MinesweeperAI) {
+            this.ai = this.solver;
+        }
+    }
+
+    // Options for an AI or solver on this board. Its seed comes from the board's, so its
+    // guesses are reproducible, but isn't the board's (see MinesweeperAI.seed_for_board()).
+    _aiOptions() {
+        return { seed: MinesweeperAI.seed_for_board(this.board.seed), topology: this.board.topology.name };
+    }
+
+    _createSolver(name) {
+        const { board } = this;
+        const solver = create_solver(name, board.height, board.width, board.mine_count, this._aiOptions());
+        for (const cellKey of this.revealed) {
+            const cell = cellKey.split(',').map(Number);
+            solver.observe(cell, board.nearby_mines(cell));
+        }
+        return solver;
+    }
+
+    _reveal(cell, source) {
+        const wasReady = this.status === 'ready';
+        if (!this.board.mines_placed) {
+            this.board.place_mines(cell);
+        }
+
+        if (this.board.is_mine(cell)) {
+            this.explodedCell = `${cell[0]},${cell[1]}`;
+            this._setStatus('lost');
+            this.emit('lose', { cell, source });
+            return;
+        }
+
+        const region = this.board.flood_region(cell, (cellKey) => this.revealed.has(cellKey) || this.flags.has(cellKey));
+        for (const regionCell of region) {
+            const cellKey = `${regionCell[0]},${regionCell[1]}`;
+            this.revealed.add(cellKey);
+            this.unobserved.push(cellKey);
+        }
+        this.emit('reveal', { cells: region, source });
+
+        if (this.revealed.size === this.safeCellCount()) {
+            // Whatever is still hidden must be a mine, so flag it for the player
+            for (const cellKey of this.board.mines) {
+                if (!this.flags.has(cellKey)) {
+                    this._setFlag(cellKey.split(',').map(Number), true, source);
+                }
+            }
+            this._setStatus('won');
+            this.emit('win');
+        } else if (wasReady) {
+            this._setStatus('playing');
+        }
+    }
+
+    _setFlag(cell, flagged, source) {
+        const cellKey = `${cell[0]},${cell[1]}`;
+        if (flagged) {
+            this.flags.add(cellKey);
+        } else {
+            this.flags.delete(cellKey);
+        }
+        this.board.mark_found(cell, flagged);
+        this.emit('flag', { cell, flagged, source });
+    }
+
+    _setStatus(status) {
+        const previous = this.status;
+        if (status !== previous) {
+            this.status = status;
+            this.emit('status', { status, previous });
+        }
+    }
+
+    // --- Saving and undo ---
+
+    // Plain data for JSON; the board, AI and solver use their own to_json(). solver is
+    // SHARED_SOLVER when the AI is the solver. Saving doesn't bring them up to date:
+    // unobserved lists the revealed cells they have yet to be told about.
+    to_json() {
+        let solver = null;
+        if (this._solver) {
+            solver = this._solver === this._ai ? SHARED_SOLVER : this._solver.to_json();
+        }
+        return {
+            board: this.board.to_json(),
+            ai: this._ai ? this._ai.to_json() : null,
+            solver,
+            unobserved: this.unobserved.slice(),
+            revealed: Array.from(this.revealed),
+            flags: Array.from(this.flags),
+            lost: this.status === 'lost',
+            explodedCell: this.explodedCell
+        };
+    }
+
+    static from_json(data) {
+        const session = new GameSession(Minesweeper.from_json(data.board), { ai: null, solver: null });
+        session._load(data);
+        return session;
+    }
+
+    // Go back to a state saved with to_json(), keeping the listeners. Once the mines are
+    // down they stay put, so undoing the first reveal doesn't deal a new board.
+    restore(data) {
+        const board = this.board.mines_placed && !data.board.mines_placed ? this.board : null;
+        const previous = this.status;
+        this._load(data, board);
+        if (this.status !== previous) {
+            this.emit('status', { status: this.status, previous });
+        }
+        this.emit('restore');
+        this.emit('change');
+    }
+
+    _load(data, board = null) {
+        this.board = board || Minesweeper.from_json(data.board);
+        // The AI's snapshot names its strategy, as it may be the solver too
+        this.ai = data.ai ? solver_from_json(data.ai) : null;
+        this.revealed = new Set(data.revealed);
+        if (data.solver === SHARED_SOLVER || (data.solver === undefined && this._ai)) {
+            // Saved before there were solvers, or built from an AI alone (a position from
+            // the board editor, say): the AI plays
+            this.solver = this._ai;
+        } else {
+            this.solver = data.solver ? solver_from_json(data.solver) : null;
+        }
+        this.unobserved = data.unobserved ? data.unobserved.slice() : [];
+        this.flags = new Set(data.flags);
+        this.explodedCell = data.explodedCell || null;
+        this.board.mines_found.clear();
+        for (const cellKey of this.flags) {
+            this.board.mark_found(cellKey.split(',').map(Number), true);
+        }
+
+        if (data.lost) {
+            this.status = 'lost';
+        } else if (this.revealed.size === this.safeCellCount()) {
+            this.status = 'won';
+        } else {
+            this.status = this.revealed.size > 0 ? 'playing' : 'ready';
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameSession, SESSION_STATUSES, SESSION_EVENTS, SHARED_SOLVER };
+}
@@ -1,30 +1,325 @@
 // minesweeper_logic.js
 
+// Under Node (e.g. simulate.js) topology.js isn't loaded with a <script> tag, so pull it in here
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./topology.js'));
+}
+
+// Probabilities closer together than this are treated as equal when guessing
+const PROBABILITY_EPSILON = 1e-9;
+// Upper bound on search steps when enumerating a single frontier component
+const MAX_ENUMERATION_STEPS = 200000;
+// Probabilities that rest on a component too big to enumerate stay at least this far
+// from 0 and 1, so they are never taken for proof (see mine_probabilities())
+const APPROXIMATION_MARGIN = 1e-6;
+// Names the AI's random stream when its seed is derived from a board's (see SeededRandom.derive)
+const AI_SEED_SALT = 1;
+
+// Ways the Minesweeper constructor can lay out mines at random (see its comment)
+const GENERATION_MODES = ['random', 'safe-first', 'no-guess'];
+// Every generation a board can have: the random modes, and 'fixed' layouts given mine by mine
+const BOARD_GENERATIONS = [...GENERATION_MODES, 'fixed'];
+// Default cap on layouts tried when generating a no-guess board
+const MAX_GENERATION_ATTEMPTS = 500;
+
+// Letters used for each generation mode in board codes
+const GENERATION_CODES = { 'random': 'r', 'safe-first': 's', 'no-guess': 'n', 'fixed': 'x' };
+
+// Small seedable pseudo-random generator (mulberry32), so a board and every AI
+// decision on it can be reproduced from a single 32-bit seed
+class SeededRandom {
+    constructor(seed = SeededRandom.random_seed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    static random_seed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // A seed for another stream of numbers, derived from seed and a salt naming the stream.
+    // Mixed with murmur3's finaliser, so the streams don't line up with seed's own.
+    static derive(seed, salt) {
+        let hash = (seed ^ Math.imul(salt, 0x9E3779B1)) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    // Float in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Integer in [0, n)
+    next_int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    to_json() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    static from_json(data) {
+        const rng = new SeededRandom(data.seed);
+        rng.state = data.state >>> 0;
+        return rng;
+    }
+}
+
+// Short shareable codes such as "16x30-99-s-1hg4k2" (height x width - mines -
+// generation mode - seed in base 36) that recreate the same mine layout. Boards that
+// aren't square grids end with their topology's letter, e.g. "16x30-99-s-1hg4k2-h".
+// A fixed layout has no seed to rebuild it from, so its code lists the mines instead:
+// bit (row * width + col) of a base-36 number is set for each mine.
+class BoardCode {
+    static encode({ height, width, mine_count, generation, seed, topology, mines }) {
+        const layout = generation === 'fixed' ? BoardCode._encode_layout(mines, width) : seed.toString(36);
+        const code = `${height}x${width}-${mine_count}-${GENERATION_CODES[generation]}-${layout}`;
+        return topology && topology.name in TOPOLOGY_CODES ? `${code}-${TOPOLOGY_CODES[topology.name]}` : code;
+    }
+
+    // Returns { height, width, mines, generation, seed, topology }, or throws if the code is
+    // malformed. Codes for fixed layouts have no seed, and a layout ("row,col" mine keys) instead.
+    static decode(code) {
+        const match = /^(\d+)x(\d+)-(\d+)-([a-z])-([0-9a-z]+)(?:-([a-z]))?$/.exec(code.trim().toLowerCase());
+        if (!match) {
+            throw new Error(`Not a valid board code: "${code}"`);
+        }
+        const generation = Object.keys(GENERATION_CODES).find(mode => GENERATION_CODES[mode] === match[4]);
+        if (!generation) {
+            throw new Error(`Unknown generation mode in board code: "${match[4]}"`);
+        }
+        const [height, width, mines] = [Number(match[1]), Number(match[2]), Number(match[3])];
+        if (height < 1 || width < 1 || mines >= height * width) {
+            throw new Error(`Board code has an impossible size or mine count: "${code}"`);
+        }
+        let seed;
+        let layout;
+        if (generation === 'fixed') {
+            layout = BoardCode._decode_layout(match[5], height, width);
+            if (layout === null || layout.length !== mines) {
+                throw new Error(`Board code's mine layout doesn't match its size and mine count: "${code}"`);
+            }
+        } else {
+            seed = parseInt(match[5], 36);
+            if (seed > 0xFFFFFFFF) {
+                throw new Error(`Seed out of range in board code: "${match[5]}"`);
+            }
+        }
+        let topology = 'square';
+        if (match[6]) {
+            topology = Object.keys(TOPOLOGY_CODES).find(name => TOPOLOGY_CODES[name] === match[6]);
+            if (!topology) {
+                throw new Error(`Unknown board topology in board code: "${match[6]}"`);
+            }
+        }
+        return generation === 'fixed'
+            ? { height, width, mines, generation, layout, topology }
+            : { height, width, mines, generation, seed, topology };
+    }
+
+    static _encode_layout(mines, width) {
+        let bits = 0n;
+        for (const cellKey of mines) {
+            const [i, j] = cellKey.split(',').map(Number);
+            bits |= 1n << BigInt(i * width + j);
+        }
+        return bits.toString(36);
+    }
+
+    // The mine keys spelled out by an encoded layout, or null if it has bits past the board
+    static _decode_layout(digits, height, width) {
+        let bits = 0n;
+        for (const digit of digits) {
+            bits = bits * 36n + BigInt(parseInt(digit, 36));
+        }
+        const mines = [];
+        for (let index = 0; index < height * width; index++) {
+            if ((bits >> BigInt(index)) & 1n) {
+                mines.push(`${Math.floor(index / width)},${index % width}`);
+            }
+        }
+        return bits >> BigInt(height * width) === 0n ? mines : null;
+    }
+}
+
 class Minesweeper {
-    constructor(height = 8, width = 8, mines = 8) {
+    // options.generation picks how mines are laid out:
+    //   'random'     - placed immediately, anywhere (the first click may lose)
+    //   'safe-first' - placed on the first reveal, avoiding that cell and its neighbours
+    //   'no-guess'   - like 'safe-first', but regenerated until MinesweeperAI can clear
+    //                  the board from the first click without guessing
+    //   'fixed'      - exactly the mines in options.layout ("row,col" keys), such as a
+    //                  position made in the board editor; mines must match their number
+    // options.max_attempts caps how many layouts 'no-guess' will try.
+    // options.seed seeds the layout; a random seed is chosen if it is omitted.
+    // options.topology names how cells neighbour each other (see topology.js), 'square' by default.
+    constructor(height = 8, width = 8, mines = 8, options = {}) {
         this.height = height;
         this.width = width;
+        this.topology = createTopology(options.topology || 'square', height, width);
+        this.mine_count = mines;
         this.mines = new Set(); // Stores mine cells as strings "row,col"
 
+        this.generation = options.generation || 'random';
+        if (!BOARD_GENERATIONS.includes(this.generation)) {
+            throw new Error(`Unknown generation mode: ${this.generation}`);
+        }
+        this.max_attempts = options.max_attempts || MAX_GENERATION_ATTEMPTS;
+        this.generation_attempts = 0; // Layouts tried before settling on this one
+        this.no_guess = false;        // True once the layout is known to need no guesses
+        this.rng = new SeededRandom(options.seed);
+        this.seed = this.rng.seed;
+
         this.board = [];
         for (let i = 0; i < this.height; i++) {
             this.board.push(Array(this.width).fill(false)); // false means no mine
         }
+        this.mines_placed = false;
+
+        if (this.generation === 'random') {
+            this._add_random_mines(new Set());
+            this.generation_attempts = 1;
+            this.mines_placed = true;
+        } else if (this.generation === 'fixed') {
+            const layout = new Set(options.layout || []);
+            if (layout.size !== mines) {
+                throw new Error(`A fixed layout needs exactly ${mines} mine(s), not ${layout.size}`);
+            }
+            this._set_mines(layout);
+            this.mines_placed = true;
+        }
+
+        this.mines_found = new Set(); // Mines the player has flagged (see mark_found)
+    }
+
+    // Lay the mines out around the first revealed cell. Does nothing if they are
+    // already down, so callers can invoke it before every reveal.
+    place_mines(first_cell) {
+        if (this.mines_placed) return;
+
+        // Keep the first cell and its neighbours clear, unless the board is too
+        // crowded for that, in which case only the first cell itself is kept clear
+        const firstKey = `${first_cell[0]},${first_cell[1]}`;
+        let excluded = new Set([firstKey]);
+        for (const [i, j] of this.neighbours(first_cell)) {
+            excluded.add(`${i},${j}`);
+        }
+        if (this.height * this.width - excluded.size < this.mine_count) {
+            excluded = new Set([firstKey]);
+        }
+
+        for (let attempt = 1; attempt <= this.max_attempts; attempt++) {
+            this.generation_attempts = attempt;
+            this._add_random_mines(excluded);
+            if (this.generation !== 'no-guess') break;
+            if (this.is_solvable_without_guessing(first_cell)) {
+                this.no_guess = true;
+                break;
+            }
+        }
+        this.mines_placed = true;
+    }
+
+    // Play the board out with a fresh MinesweeperAI, starting from first_cell and only
+    // ever revealing cells it has proven safe. True if that clears every safe cell.
+    is_solvable_without_guessing(first_cell) {
+        const ai = new MinesweeperAI(this.height, this.width, this.mine_count, { topology: this.topology.name });
+        const safeCells = this.height * this.width - this.mines.size;
+        let move = first_cell;
+        while (move !== null) {
+            if (this.is_mine(move)) return false;
+            ai.add_knowledge(move, this.nearby_mines(move));
+            if (ai.moves_made.size === safeCells) return true;
+            move = ai.make_safe_move() || this._certain_safe_move(ai);
+        }
+        return false;
+    }
+
+    // A cell the mine count proves safe even though no single sentence does
+    _certain_safe_move(ai) {
+        for (const [cellKey, probability] of ai.mine_probabilities()) {
+            if (probability <= PROBABILITY_EPSILON && !ai.moves_made.has(cellKey)) {
+                return ai._parseCellKey(cellKey);
+            }
+        }
+        return null;
+    }
+
+    _set_mines(cellKeys) {
+        for (const cellKey of cellKeys) {
+            const [i, j] = cellKey.split(',').map(Number);
+            this.mines.add(cellKey);
+            this.board[i][j] = true;
+        }
+    }
+
+    _add_random_mines(excluded) {
+        this.mines.clear();
+        for (const row of this.board) {
+            row.fill(false);
+        }
 
-        // Add mines randomly
         let minesAdded = 0;
-        while (minesAdded < mines) {
-            const i = Math.floor(Math.random() * height);
-            const j = Math.floor(Math.random() * width);
+        while (minesAdded < this.mine_count) {
+            const i = this.rng.next_int(this.height);
+            const j = this.rng.next_int(this.width);
             const cellKey = `${i},${j}`;
-            if (!this.board[i][j]) { // If not already a mine
+            if (!this.board[i][j] && !excluded.has(cellKey)) { // If not already a mine
                 this.mines.add(cellKey);
                 this.board[i][j] = true;
                 minesAdded++;
             }
         }
+    }
 
-        this.mines_found = new Set(); // Not directly used in this UI, but kept for consistency
+    // Plain-object snapshot of the board, including the generator state so that a
+    // board still waiting for its first click lays out the same mines once restored
+    to_json() {
+        return {
+            height: this.height,
+            width: this.width,
+            mine_count: this.mine_count,
+            topology: this.topology.name,
+            generation: this.generation,
+            max_attempts: this.max_attempts,
+            generation_attempts: this.generation_attempts,
+            no_guess: this.no_guess,
+            rng: this.rng.to_json(),
+            mines_placed: this.mines_placed,
+            mines: Array.from(this.mines)
+        };
+    }
+
+    static from_json(data) {
+        // Build with deferred placement so the constructor doesn't lay out mines of its own
+        const board = new Minesweeper(data.height, data.width, data.mine_count, {
+            generation: 'safe-first',
+            max_attempts: data.max_attempts,
+            topology: data.topology,
+            seed: data.rng.seed
+        });
+        board.generation = data.generation;
+        board.generation_attempts = data.generation_attempts;
+        board.no_guess = data.no_guess;
+        board.rng = SeededRandom.from_json(data.rng);
+        board.mines_placed = data.mines_placed;
+        board._set_mines(data.mines);
+        return board;
+    }
+
+    // Shareable code that rebuilds this board (see BoardCode)
+    board_code() {
+        return BoardCode.encode(this);
+    }
+
+    neighbours(cell) {
+        return this.topology.neighbours(cell);
     }
 
     is_mine(cell) {
@@ -33,37 +328,90 @@ class Minesweeper {
     }
 
     nearby_mines(cell) {
-        const [ci, cj] = cell;
         let count = 0;
+        for (const [i, j] of this.neighbours(cell)) {
+            if (this.board[i][j]) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // Cells uncovered by revealing `cell`: the cell itself and, if it has no neighbouring
+    // mines, its whole connected region of zero cells plus the numbered cells bordering it.
+    // skip(cellKey) leaves out cells that are already revealed or flagged.
+    flood_region(cell, skip = () => false) {
+        const startKey = `${cell[0]},${cell[1]}`;
+        if (skip(startKey) || this.is_mine(cell)) return [];
 
-        for (let i = ci - 1; i <= ci + 1; i++) {
-            for (let j = cj - 1; j <= cj + 1; j++) {
-                if (i === ci && j === cj) { // Ignore the cell itself
-                    continue;
+        const region = [cell];
+        const seen = new Set([startKey]);
+        for (let index = 0; index < region.length; index++) {
+            const current = region[index];
+            if (this.nearby_mines(current) !== 0) continue;
+            for (const neighbour of this.neighbours(current)) {
+                const neighbourKey = `${neighbour[0]},${neighbour[1]}`;
+                if (!seen.has(neighbourKey) && !skip(neighbourKey)) {
+                    seen.add(neighbourKey);
+                    region.push(neighbour);
                 }
-                if (i >= 0 && i < this.height && j >= 0 && j < this.width) {
-                    if (this.board[i][j]) {
-                        count++;
+            }
+        }
+        return region;
+    }
+
+    // Bechtel's Board Benchmark Value: the fewest clicks that clear the board. Each
+    // opening (connected region of zero cells) takes one click, plus one for every
+    // numbered cell not on the edge of an opening.
+    bbbv() {
+        const opened = new Set();
+        let clicks = 0;
+        for (let i = 0; i < this.height; i++) {
+            for (let j = 0; j < this.width; j++) {
+                const cellKey = `${i},${j}`;
+                if (!opened.has(cellKey) && !this.board[i][j] && this.nearby_mines([i, j]) === 0) {
+                    clicks++;
+                    for (const [ri, rj] of this.flood_region([i, j], (key) => opened.has(key))) {
+                        opened.add(`${ri},${rj}`);
                     }
                 }
             }
         }
-        return count;
+        for (let i = 0; i < this.height; i++) {
+            for (let j = 0; j < this.width; j++) {
+                if (!this.board[i][j] && !opened.has(`${i},${j}`)) {
+                    clicks++;
+                }
+            }
+        }
+        return clicks;
     }
 
+    // Keep mines_found in step with the player's flags: a flag on a mine counts as found
+    mark_found(cell, flagged) {
+        const cellKey = `${cell[0]},${cell[1]}`;
+        if (!this.mines.has(cellKey)) return;
+        if (flagged) {
+            this.mines_found.add(cellKey);
+        } else {
+            this.mines_found.delete(cellKey);
+        }
+    }
+
+    // True once every mine has been flagged. GameSession ends a game as soon as every
+    // safe cell is revealed, and flags the remaining mines, so this holds for any won game.
     won() {
-        // In the UI, win condition is flags == total mines, but this is the core logic check
-        // For AI, this isn't strictly necessary as AI focuses on revealing safes
-        // For a full game, you'd need to compare this.mines_found with this.mines
-        return this.mines_found.size === this.mines.size;
+        return this.mines_placed && this.mines_found.size === this.mines.size;
     }
 }
 
 class Sentence {
-    constructor(cells, count) {
+    // sources lists the revealed cells ("row,col") whose numbers this sentence came from
+    constructor(cells, count, sources = []) {
         // Cells are stored as a Set of strings "row,col" for easy lookup
         this.cells = new Set(cells.map(c => `${c[0]},${c[1]}`));
         this.count = count;
+        this.sources = new Set(sources);
     }
 
     // Custom equality check (not strictly needed for this AI but good practice)
@@ -81,6 +429,23 @@ class Sentence {
         return `{${Array.from(this.cells).join(', ')}} = ${this.count}`;
     }
 
+    // Same for any two sentences that say the same thing, whatever order their cells are in
+    key() {
+        return `${Array.from(this.cells).sort().join(' ')}=${this.count}`;
+    }
+
+    is_valid() {
+        return this.cells.size > 0 && this.count >= 0 && this.count <= this.cells.size;
+    }
+
+    to_json() {
+        return { cells: Array.from(this.cells), count: this.count, sources: Array.from(this.sources) };
+    }
+
+    static from_json(data) {
+        return new Sentence(data.cells.map(cellKey => cellKey.split(',').map(Number)), data.count, data.sources || []);
+    }
+
     known_mines() {
         if (this.count === this.cells.size && this.cells.size > 0) {
             return new Set(this.cells);
@@ -112,15 +477,108 @@ class Sentence {
 }
 
 class MinesweeperAI {
-    constructor(height = 8, width = 8) {
+    // options.seed seeds the AI's random choices so its decisions can be replayed. An AI
+    // playing a seeded board should get seed_for_board(), not the board's own seed.
+    // options.topology must match the board's (see topology.js), 'square' by default.
+    constructor(height = 8, width = 8, mines = 8, options = {}) {
         this.height = height;
         this.width = width;
+        this.topology = createTopology(options.topology || 'square', height, width);
+        this.total_mines = mines; // Total mines on the board, used when guessing
+        this.rng = new SeededRandom(options.seed);
 
         this.moves_made = new Set(); // Stores cells as strings "row,col"
         this.mines = new Set();      // Stores cells as strings "row,col"
         this.safes = new Set();      // Stores cells as strings "row,col"
+        this.unplayed_safes = new Set(); // Safes not in moves_made, in the same order
+
+        // The knowledge base: every Sentence still saying something about unknown cells,
+        // in the order they were learned. Also indexed by cell and by Sentence.key(), and
+        // sentences that still need checking wait in a worklist (see check_knowledge).
+        this.sentences = new Set();
+        this.cell_sentences = new Map(); // "row,col" -> Set of sentences containing it
+        this.sentence_keys = new Map();  // Sentence.key() -> sentence
+        this.worklist = [];
+        this.queued = new Set();
+
+        // Why each cell in mines/safes was deduced: "row,col" -> the sentence that proved it,
+        // as { cells, count, sources }. Cells revealed by playing them have no entry.
+        this.deductions = new Map();
+    }
+
+    // The seed for an AI playing a board with board_seed. Reusing the board's seed would
+    // replay the stream that placed the mines, so the AI's guesses would follow them.
+    static seed_for_board(board_seed) {
+        return SeededRandom.derive(board_seed, AI_SEED_SALT);
+    }
+
+    // Plain-object snapshot of everything the AI knows. Sets and the knowledge base keep
+    // their order, and the generator keeps its state, so a restored AI makes exactly
+    // the same decisions as the original would have.
+    to_json() {
+        return {
+            solver: this.solver_name,
+            height: this.height,
+            width: this.width,
+            topology: this.topology.name,
+            total_mines: this.total_mines,
+            rng: this.rng.to_json(),
+            moves_made: Array.from(this.moves_made),
+            mines: Array.from(this.mines),
+            safes: Array.from(this.safes),
+            knowledge: this.knowledge.map(sentence => sentence.to_json()),
+            deductions: Array.from(this.deductions)
+        };
+    }
+
+    static from_json(data) {
+        const ai = new this(data.height, data.width, data.total_mines, { topology: data.topology });
+        ai.rng = SeededRandom.from_json(data.rng);
+        ai.moves_made = new Set(data.moves_made);
+        ai.mines = new Set(data.mines);
+        ai.safes = new Set(data.safes);
+        ai.unplayed_safes = new Set(data.safes.filter(cellKey => !ai.moves_made.has(cellKey)));
+        for (const sentence of data.knowledge) {
+            ai._index_sentence(Sentence.from_json(sentence));
+        }
+        ai.deductions = new Map(data.deductions || []);
+        return ai;
+    }
+
+    // --- The solver interface (see solvers.js) ---
+    // The subset rule is the 'subset' strategy: it knows what its sentences prove.
+
+    get solver_name() {
+        return 'subset';
+    }
 
-        this.knowledge = []; // List of Sentence objects
+    observe(cell, count) {
+        this.add_knowledge(cell, count);
+    }
+
+    propose() {
+        const preview = this.preview_move();
+        if (preview === null) return null;
+        if (preview.kind === 'safe') {
+            return { kind: 'safe', cells: [`${preview.cell[0]},${preview.cell[1]}`], confidence: 1 };
+        }
+        return { kind: 'guess', cells: preview.cells, confidence: 1 - preview.probability };
+    }
+
+    // Break ties between equally risky cells at random, without using up the generator:
+    // the pick comes from the seed and how many moves have been made, so asking again (or
+    // asking a copy, say in a Web Worker) gives the same cell
+    choose(cellKeys) {
+        const rng = new SeededRandom(SeededRandom.derive(this.rng.seed, this.moves_made.size));
+        return cellKeys[rng.next_int(cellKeys.length)];
+    }
+
+    known_mines() {
+        return new Set(this.mines);
+    }
+
+    known_safes() {
+        return new Set(this.safes);
     }
 
     // Helper to convert string "row,col" back to [row, col] array
@@ -128,26 +586,19 @@ class MinesweeperAI {
         return cellKey.split(',').map(Number);
     }
 
+    // Every sentence, as a list (a copy, so callers can't disturb the indexes)
+    get knowledge() {
+        return Array.from(this.sentences);
+    }
+
     mark_mine(cell) {
-        const cellKey = `${cell[0]},${cell[1]}`;
-        this.mines.add(cellKey);
-        // Deep copy knowledge to avoid modifying during iteration
-        const knowledgeCopy = [...this.knowledge];
-        for (const sentence of knowledgeCopy) {
-            sentence.mark_mine(cell);
-        }
-        this.check_knowledge(); // Re-evaluate knowledge after marking
+        this._mark(`${cell[0]},${cell[1]}`, true);
+        this.check_knowledge();
     }
 
     mark_safe(cell) {
-        const cellKey = `${cell[0]},${cell[1]}`;
-        this.safes.add(cellKey);
-        // Deep copy knowledge to avoid modifying during iteration
-        const knowledgeCopy = [...this.knowledge];
-        for (const sentence of knowledgeCopy) {
-            sentence.mark_safe(cell);
-        }
-        this.check_knowledge(); // Re-evaluate knowledge after marking
+        this._mark(`${cell[0]},${cell[1]}`, false);
+        this.check_knowledge();
     }
 
     add_knowledge(cell, count) {
@@ -155,183 +606,195 @@ class MinesweeperAI {
 
         // 1) mark the cell as a move that has been made
         this.moves_made.add(cellKey);
+        this.unplayed_safes.delete(cellKey);
 
-        // 2) mark the cell as safe (will trigger knowledge updates)
-        this.mark_safe(cell);
+        // 2) mark the cell as safe, taking it out of every sentence
+        this._mark(cellKey, false);
 
-        // 3) add a new sentence to the AI's knowledge base
-        const newSentenceCells = new Set();
+        // 3) add a new sentence about its unknown neighbours to the knowledge base
+        const newSentenceCells = [];
         let currentCount = count;
-        const neighborCells = this._return_neighbour_cells(cell);
-
-        for (const nc of neighborCells) {
+        for (const nc of this._return_neighbour_cells(cell)) {
             const ncKey = `${nc[0]},${nc[1]}`;
             if (this.mines.has(ncKey)) {
                 currentCount--;
             } else if (!this.safes.has(ncKey)) { // Only add unknown cells
-                newSentenceCells.add(nc); // Store as [row,col] for Sentence constructor
+                newSentenceCells.push(nc);
             }
         }
+        this._add_sentence(new Sentence(newSentenceCells, currentCount, [cellKey]));
 
-        const newSentence = new Sentence(Array.from(newSentenceCells), currentCount);
-
-        // Only add if it's a valid sentence (non-empty cells)
-        if (newSentence.cells.size > 0) {
-            this.knowledge.push(newSentence);
-        }
-
-        // 4) mark any additional cells as safe or as mines
+        // 4) mark any additional cells as safe or as mines, and
         // 5) add any new sentences inferred from existing knowledge
         this.check_knowledge();
-        this.extra_inference();
-        this.check_knowledge(); // Run again after inference
     }
 
-    _return_neighbour_cells(cell) {
-        const [ci, cj] = cell;
-        const nearby_cells = new Set();
-        for (let r = 0; r < this.height; r++) {
-            for (let c = 0; c < this.width; c++) {
-                if (Math.abs(ci - r) <= 1 && Math.abs(cj - c) <= 1 && (r !== ci || c !== cj)) {
-                    nearby_cells.add([r, c]); // Store as [row,col]
-                }
+    // Remember which sentence proved these cells, before marking them changes it
+    _record_deduction(sentence, cellKeys) {
+        const reason = {
+            cells: Array.from(sentence.cells),
+            count: sentence.count,
+            sources: Array.from(sentence.sources)
+        };
+        for (const cellKey of cellKeys) {
+            if (!this.deductions.has(cellKey) && !this.mines.has(cellKey) && !this.safes.has(cellKey)) {
+                this.deductions.set(cellKey, reason);
             }
         }
-        return nearby_cells;
     }
 
-    // Helper to ensure sentences are valid and simplify knowledge
+    _return_neighbour_cells(cell) {
+        return this.topology.neighbours(cell);
+    }
+
+    // Draw every conclusion the knowledge base allows: work through the queued sentences
+    // until none is left, marking the cells a sentence settles and combining each sentence
+    // with those it overlaps. Marking a cell re-queues the sentences that contained it, so
+    // this reaches the same fixed point however the sentences arrive, without recursion.
     check_knowledge() {
-        // Iterate over a copy to allow modification of original this.knowledge
-        let madeChanges = false;
-        const knowledgeCopy = [...this.knowledge]; // Shallow copy of array
-        this.knowledge = []; // Reset knowledge, will rebuild with valid sentences
-
-        for (const sentence of knowledgeCopy) {
-            // First, remove cells from sentence that are already known safe/mine
-            const cellsToRemove = new Set();
-            for (const cellKey of sentence.cells) {
-                if (this.safes.has(cellKey)) {
-                    cellsToRemove.add(cellKey);
-                } else if (this.mines.has(cellKey)) {
-                    cellsToRemove.add(cellKey);
-                    sentence.count--; // Adjust count if a mine was in the sentence
-                }
-            }
-            for (const cellKey of cellsToRemove) {
-                sentence.cells.delete(cellKey);
-                madeChanges = true;
-            }
+        // Sentences queued while the loop runs are appended, so it picks them up too
+        for (let index = 0; index < this.worklist.length; index++) {
+            const sentence = this.worklist[index];
+            this.queued.delete(sentence);
+            if (!this.sentences.has(sentence)) continue; // Dropped while it waited
 
-            // After reduction, check if cells are known mines/safes
             const knownMines = sentence.known_mines();
             const knownSafes = sentence.known_safes();
-
-            if (knownMines) {
-                for (const cellKey of knownMines) {
-                    this.mark_mine(this._parseCellKey(cellKey));
-                    madeChanges = true;
-                }
-            }
-            if (knownSafes) {
-                for (const cellKey of knownSafes) {
-                    this.mark_safe(this._parseCellKey(cellKey));
-                    madeChanges = true;
+            if (knownMines || knownSafes) {
+                this._record_deduction(sentence, knownMines || knownSafes);
+                this._remove_sentence(sentence);
+                for (const cellKey of knownMines || knownSafes) {
+                    this._mark(cellKey, Boolean(knownMines));
                 }
+            } else {
+                this._infer_subsets(sentence);
             }
+        }
+        this.worklist = [];
+    }
 
-            // Only keep valid sentences
-            if (sentence.cells.size > 0 && sentence.count >= 0 && sentence.count <= sentence.cells.size) {
-                 // Check for duplicate sentences to prevent infinite loops from subset rule
-                let isDuplicate = false;
-                for(const existingSentence of this.knowledge) {
-                    if (existingSentence.equals(sentence)) {
-                        isDuplicate = true;
-                        break;
-                    }
-                }
-                if (!isDuplicate) {
-                    this.knowledge.push(sentence);
-                }
+    // Subset rule, against every sentence sharing a cell with this one: if s1's cells are a
+    // subset of s2's, the cells of s2 that aren't in s1 hold s2.count - s1.count mines
+    _infer_subsets(sentence) {
+        const overlapping = new Set();
+        for (const cellKey of sentence.cells) {
+            for (const other of this.cell_sentences.get(cellKey)) {
+                if (other !== sentence) overlapping.add(other);
             }
         }
-
-        // Re-run if changes were made, to propagate new knowledge
-        if (madeChanges) {
-             this.check_knowledge();
+        for (const other of overlapping) {
+            if (other.cells.size > sentence.cells.size && this._is_subset(sentence, other)) {
+                this._add_difference(other, sentence);
+            } else if (other.cells.size < sentence.cells.size && this._is_subset(other, sentence)) {
+                this._add_difference(sentence, other);
+            }
         }
     }
 
-    extra_inference() {
-        let madeChanges = false;
-        const knowledgeCopy = [...this.knowledge]; // Shallow copy of array
-        const newSentencesToAdd = [];
-
-        for (let i = 0; i < knowledgeCopy.length; i++) {
-            for (let j = 0; j < knowledgeCopy.length; j++) {
-                if (i === j) continue;
-
-                const s1 = knowledgeCopy[i];
-                const s2 = knowledgeCopy[j];
+    _is_subset(s1, s2) {
+        for (const cellKey of s1.cells) {
+            if (!s2.cells.has(cellKey)) return false;
+        }
+        return true;
+    }
 
-                // Rule: If s1 is a subset of s2 (s1 ⊆ s2)
-                // then s2 - s1 = s2.count - s1.count
-                // The sets are stored as string keys, so need to check subset correctly
-                let s1_is_subset_of_s2 = true;
-                for (const cellKey of s1.cells) {
-                    if (!s2.cells.has(cellKey)) {
-                        s1_is_subset_of_s2 = false;
-                        break;
-                    }
-                }
+    // Add the sentence s2 - s1, for s1 a subset of s2
+    _add_difference(s2, s1) {
+        const newCells = [];
+        for (const cellKey of s2.cells) {
+            if (!s1.cells.has(cellKey)) {
+                newCells.push(this._parseCellKey(cellKey));
+            }
+        }
+        this._add_sentence(new Sentence(newCells, s2.count - s1.count, [...s1.sources, ...s2.sources]));
+    }
 
-                if (s1_is_subset_of_s2) {
-                    const newCells = new Set();
-                    for (const cellKey of s2.cells) {
-                        if (!s1.cells.has(cellKey)) {
-                            newCells.add(this._parseCellKey(cellKey)); // Convert back to [row,col]
-                        }
-                    }
-                    const newCount = s2.count - s1.count;
-                    const newSentence = new Sentence(Array.from(newCells), newCount); // Convert Set to Array
-
-                    // Only add if it's a valid and non-empty sentence
-                    if (newSentence.cells.size > 0 && newSentence.count >= 0 && newSentence.count <= newSentence.cells.size) {
-                         // Check if new sentence already exists to prevent duplicates
-                        let exists = false;
-                        for(const existingSentence of this.knowledge) {
-                            if (existingSentence.equals(newSentence)) {
-                                exists = true;
-                                break;
-                            }
-                        }
-                        if (!exists) {
-                            newSentencesToAdd.push(newSentence);
-                            madeChanges = true;
-                        }
-                    }
-                }
+    // Add a sentence to the knowledge base and queue it, unless it says nothing new:
+    // cells already known are taken out first, and empty, impossible or duplicate
+    // sentences are dropped
+    _add_sentence(sentence) {
+        for (const cellKey of Array.from(sentence.cells)) {
+            if (this.mines.has(cellKey)) {
+                sentence.cells.delete(cellKey);
+                sentence.count--;
+            } else if (this.safes.has(cellKey)) {
+                sentence.cells.delete(cellKey);
             }
         }
-        // Add new sentences found
-        for(const newSentence of newSentencesToAdd) {
-            this.knowledge.push(newSentence);
+        if (!sentence.is_valid() || this.sentence_keys.has(sentence.key())) return;
+        this._index_sentence(sentence);
+        this._queue(sentence);
+    }
+
+    _index_sentence(sentence) {
+        this.sentences.add(sentence);
+        this.sentence_keys.set(sentence.key(), sentence);
+        for (const cellKey of sentence.cells) {
+            if (!this.cell_sentences.has(cellKey)) {
+                this.cell_sentences.set(cellKey, new Set());
+            }
+            this.cell_sentences.get(cellKey).add(sentence);
         }
+    }
 
-        // Re-run check_knowledge if any new sentences were inferred
-        if (madeChanges) {
-            this.check_knowledge();
+    _remove_sentence(sentence) {
+        this.sentences.delete(sentence);
+        if (this.sentence_keys.get(sentence.key()) === sentence) {
+            this.sentence_keys.delete(sentence.key());
+        }
+        for (const cellKey of sentence.cells) {
+            const containing = this.cell_sentences.get(cellKey);
+            containing.delete(sentence);
+            if (containing.size === 0) {
+                this.cell_sentences.delete(cellKey);
+            }
         }
     }
 
+    _queue(sentence) {
+        if (!this.queued.has(sentence)) {
+            this.queued.add(sentence);
+            this.worklist.push(sentence);
+        }
+    }
 
-    make_safe_move() {
-        // Iterate through known safe cells
-        for (const cellKey of this.safes) {
+    // Record a cell as a mine or safe and take it out of every sentence containing it.
+    // Those sentences change, so each is re-indexed (dropping it if it now duplicates
+    // another or says nothing) and queued to be checked again.
+    _mark(cellKey, isMine) {
+        if (isMine) {
+            if (this.mines.has(cellKey)) return;
+            this.mines.add(cellKey);
+        } else {
+            if (this.safes.has(cellKey)) return;
+            this.safes.add(cellKey);
             if (!this.moves_made.has(cellKey)) {
-                return this._parseCellKey(cellKey); // Return as [row,col]
+                this.unplayed_safes.add(cellKey);
             }
         }
+        const containing = this.cell_sentences.get(cellKey);
+        if (!containing) return;
+
+        for (const sentence of Array.from(containing)) {
+            this._remove_sentence(sentence);
+            const [i, j] = this._parseCellKey(cellKey);
+            if (isMine) {
+                sentence.mark_mine([i, j]);
+            } else {
+                sentence.mark_safe([i, j]);
+            }
+            if (sentence.is_valid() && !this.sentence_keys.has(sentence.key())) {
+                this._index_sentence(sentence);
+                this._queue(sentence);
+            }
+        }
+    }
+
+    make_safe_move() {
+        // The first known safe cell that hasn't been played yet
+        for (const cellKey of this.unplayed_safes) {
+            return this._parseCellKey(cellKey); // Return as [row,col]
+        }
         return null;
     }
 
@@ -348,9 +811,355 @@ class MinesweeperAI {
         }
 
         if (possibleMoves.length > 0) {
-            const randomIndex = Math.floor(Math.random() * possibleMoves.length);
+            const randomIndex = this.rng.next_int(possibleMoves.length);
             return possibleMoves[randomIndex];
         }
         return null; // No valid random moves left
     }
-}
\ No newline at end of file
+
+    // What the AI would play next, without playing it: { kind: 'safe', cell } for a cell
+    // proven safe, or { kind: 'guess', probability, cells } with the lowest-risk cells a
+    // best guess would choose between. null when there is nothing left to try.
+    preview_move() {
+        const cell = this.make_safe_move();
+        if (cell !== null) return { kind: 'safe', cell };
+        const { probability, cells } = this.lowest_risk_cells();
+        return cells.length > 0 ? { kind: 'guess', probability, cells } : null;
+    }
+
+    // The unplayed cells that share the lowest mine probability, as
+    // { probability, cells: ["row,col", ...] }. Doesn't touch the random generator,
+    // so it can be used to preview a guess without changing what the AI will do.
+    lowest_risk_cells() {
+        const probabilities = this.mine_probabilities();
+        let bestProbability = Infinity;
+        let bestMoves = [];
+
+        for (const [cellKey, probability] of probabilities) {
+            if (this.moves_made.has(cellKey) || this.mines.has(cellKey)) {
+                continue;
+            }
+            if (probability < bestProbability - PROBABILITY_EPSILON) {
+                bestProbability = probability;
+                bestMoves = [cellKey];
+            } else if (Math.abs(probability - bestProbability) <= PROBABILITY_EPSILON) {
+                bestMoves.push(cellKey);
+            }
+        }
+        return { probability: bestMoves.length > 0 ? bestProbability : null, cells: bestMoves };
+    }
+
+    // Probability that each unrevealed cell is a mine, as a Map of "row,col" -> [0, 1].
+    // Known mines are 1 and known safes are 0. Frontier cells (those in a sentence) are
+    // solved by enumerating every assignment that satisfies the knowledge base, and each
+    // assignment is weighted by the number of ways the remaining mines can be spread over
+    // the interior cells (those no sentence says anything about). A component too big to
+    // enumerate is only estimated, which skews every weight, so then the only cells that
+    // come out at 0 or 1 are those their own component's arrangements settle.
+    mine_probabilities() {
+        const probabilities = new Map();
+        const unknown = new Set();
+        for (let i = 0; i < this.height; i++) {
+            for (let j = 0; j < this.width; j++) {
+                const cellKey = `${i},${j}`;
+                if (this.moves_made.has(cellKey)) continue;
+                if (this.mines.has(cellKey)) {
+                    probabilities.set(cellKey, 1);
+                } else if (this.safes.has(cellKey)) {
+                    probabilities.set(cellKey, 0);
+                } else {
+                    unknown.add(cellKey);
+                }
+            }
+        }
+
+        const components = this._frontier_components(this._frontier_constraints(unknown));
+
+        let frontierSize = 0;
+        const solved = components.map(component => {
+            frontierSize += component.cells.length;
+            return this._enumerate_component(component);
+        });
+
+        const interiorSize = unknown.size - frontierSize;
+        const remainingMines = this.total_mines === null || this.total_mines === undefined
+            ? null
+            : this.total_mines - this.mines.size;
+
+        // Relative number of ways to place the leftover mines in the interior,
+        // indexed by how many mines the frontier holds
+        const interiorWeight = (frontierMines) => {
+            if (remainingMines === null) return 1;
+            const leftover = remainingMines - frontierMines;
+            if (leftover < 0 || leftover > interiorSize) return 0;
+            return Math.exp(this._log_binomial(interiorSize, leftover) - logScale);
+        };
+        let logScale = 0;
+        if (remainingMines !== null) {
+            logScale = -Infinity;
+            for (let k = 0; k <= remainingMines; k++) {
+                const leftover = remainingMines - k;
+                if (leftover <= interiorSize) {
+                    logScale = Math.max(logScale, this._log_binomial(interiorSize, leftover));
+                }
+            }
+            if (logScale === -Infinity) logScale = 0;
+        }
+
+        const allDistribution = solved.reduce(
+            (acc, component) => this._convolve(acc, component.distribution), [1]);
+        let total = 0;
+        let interiorMines = 0;
+        for (let k = 0; k < allDistribution.length; k++) {
+            const weight = allDistribution[k] * interiorWeight(k);
+            total += weight;
+            if (remainingMines !== null) {
+                interiorMines += weight * (remainingMines - k);
+            }
+        }
+
+        // The mine count contradicts the knowledge base (or is unknown): fall back to
+        // probabilities from the sentences alone
+        const useGlobalCount = total > 0 && remainingMines !== null;
+        if (!useGlobalCount) {
+            total = allDistribution.reduce((sum, weight) => sum + weight, 0);
+        }
+        const weightFor = (k) => (useGlobalCount ? interiorWeight(k) : 1);
+        const approximate = solved.some(component => component.approximate);
+        const uncertain = (probability) => (approximate
+            ? Math.min(1 - APPROXIMATION_MARGIN, Math.max(APPROXIMATION_MARGIN, probability))
+            : probability);
+
+        solved.forEach((component, index) => {
+            const others = solved.reduce((acc, other, otherIndex) => (
+                otherIndex === index ? acc : this._convolve(acc, other.distribution)
+            ), [1]);
+            const hits = new Array(component.cells.length).fill(0);
+            for (let kc = 0; kc < component.hits.length; kc++) {
+                if (!component.hits[kc]) continue;
+                let outsideWeight = 0;
+                for (let ko = 0; ko < others.length; ko++) {
+                    outsideWeight += others[ko] * weightFor(kc + ko);
+                }
+                component.hits[kc].forEach((hit, v) => {
+                    hits[v] += hit * outsideWeight;
+                });
+            }
+            component.cells.forEach((cellKey, v) => {
+                const probability = total > 0 ? Math.min(1, hits[v] / total) : 0.5;
+                // A cell that is a mine in all or none of its component's arrangements stays proven
+                const settled = !approximate || (!component.approximate && (
+                    component.hits.every(kHits => !kHits || kHits[v] === 0)
+                    || component.hits.every((kHits, k) => !kHits || kHits[v] === component.distribution[k])));
+                probabilities.set(cellKey, settled ? probability : uncertain(probability));
+            });
+        });
+
+        let interiorProbability;
+        if (useGlobalCount && interiorSize > 0) {
+            interiorProbability = uncertain(interiorMines / total / interiorSize);
+        } else if (remainingMines !== null && unknown.size > 0) {
+            interiorProbability = Math.min(1, Math.max(0, remainingMines / unknown.size));
+        } else {
+            interiorProbability = 0.5;
+        }
+        for (const cellKey of unknown) {
+            if (!probabilities.has(cellKey)) {
+                probabilities.set(cellKey, interiorProbability);
+            }
+        }
+
+        return probabilities;
+    }
+
+    // Each sentence reduced to its unknown cells, as { cells, count }, for grouping the
+    // frontier into independent components (cells linked by a shared sentence)
+    _frontier_constraints(unknown) {
+        const constraints = [];
+        for (const sentence of this.knowledge) {
+            const cells = [];
+            let count = sentence.count;
+            for (const cellKey of sentence.cells) {
+                if (this.mines.has(cellKey)) {
+                    count--;
+                } else if (unknown.has(cellKey)) {
+                    cells.push(cellKey);
+                }
+            }
+            if (cells.length > 0) {
+                constraints.push({ cells, count });
+            }
+        }
+        return constraints;
+    }
+
+    // Split constraints into groups that share no cells, using union-find over cells
+    _frontier_components(constraints) {
+        const parent = new Map();
+        const find = (cellKey) => {
+            while (parent.get(cellKey) !== cellKey) {
+                parent.set(cellKey, parent.get(parent.get(cellKey)));
+                cellKey = parent.get(cellKey);
+            }
+            return cellKey;
+        };
+        for (const constraint of constraints) {
+            for (const cellKey of constraint.cells) {
+                if (!parent.has(cellKey)) parent.set(cellKey, cellKey);
+            }
+            const root = find(constraint.cells[0]);
+            for (const cellKey of constraint.cells) {
+                parent.set(find(cellKey), root);
+            }
+        }
+
+        const byRoot = new Map();
+        for (const constraint of constraints) {
+            const root = find(constraint.cells[0]);
+            if (!byRoot.has(root)) {
+                byRoot.set(root, { cells: [], index: new Map(), constraints: [] });
+            }
+            const component = byRoot.get(root);
+            // Number cells in the order constraints reach them, so that the
+            // enumeration fills in one sentence at a time and prunes early
+            for (const cellKey of constraint.cells) {
+                if (!component.index.has(cellKey)) {
+                    component.index.set(cellKey, component.cells.length);
+                    component.cells.push(cellKey);
+                }
+            }
+            component.constraints.push({
+                vars: constraint.cells.map(cellKey => component.index.get(cellKey)),
+                count: constraint.count
+            });
+        }
+        return Array.from(byRoot.values());
+    }
+
+    // Count the assignments of a component that satisfy all of its constraints.
+    // Returns distribution[k] = number of solutions with k mines and
+    // hits[k][v] = number of those solutions in which cell v is a mine,
+    // both scaled so the largest entry of distribution is 1.
+    _enumerate_component(component) {
+        const size = component.cells.length;
+        const varConstraints = Array.from({ length: size }, () => []);
+        const needed = [];
+        const placed = [];
+        const open = [];
+        component.constraints.forEach((constraint, c) => {
+            needed.push(constraint.count);
+            placed.push(0);
+            open.push(constraint.vars.length);
+            for (const v of constraint.vars) varConstraints[v].push(c);
+        });
+
+        const distribution = new Array(size + 1).fill(0);
+        const hits = new Array(size + 1).fill(null);
+        const assignment = new Array(size).fill(0);
+        let steps = 0;
+        let exhausted = false;
+
+        const assign = (v, value) => {
+            let consistent = true;
+            for (const c of varConstraints[v]) {
+                placed[c] += value;
+                open[c]--;
+                if (placed[c] > needed[c] || placed[c] + open[c] < needed[c]) {
+                    consistent = false;
+                }
+            }
+            return consistent;
+        };
+        const unassign = (v, value) => {
+            for (const c of varConstraints[v]) {
+                placed[c] -= value;
+                open[c]++;
+            }
+        };
+        const search = (v, minesSoFar) => {
+            if (exhausted) return;
+            if (++steps > MAX_ENUMERATION_STEPS) {
+                exhausted = true;
+                return;
+            }
+            if (v === size) {
+                distribution[minesSoFar]++;
+                if (!hits[minesSoFar]) hits[minesSoFar] = new Array(size).fill(0);
+                for (let u = 0; u < size; u++) {
+                    hits[minesSoFar][u] += assignment[u];
+                }
+                return;
+            }
+            for (const value of [0, 1]) {
+                assignment[v] = value;
+                if (assign(v, value)) {
+                    search(v + 1, minesSoFar + value);
+                }
+                unassign(v, value);
+            }
+            assignment[v] = 0;
+        };
+        search(0, 0);
+
+        if (exhausted) {
+            return this._approximate_component(component);
+        }
+
+        const scale = Math.max(...distribution);
+        if (scale > 0) {
+            for (let k = 0; k <= size; k++) {
+                distribution[k] /= scale;
+                if (hits[k]) hits[k] = hits[k].map(hit => hit / scale);
+            }
+        }
+        return { cells: component.cells, distribution, hits };
+    }
+
+    // Used when a component is too large to enumerate: each cell takes the highest
+    // mine density of the sentences it appears in. The result is marked approximate, and
+    // mine_probabilities() takes nothing it implies as certain.
+    _approximate_component(component) {
+        const size = component.cells.length;
+        const density = new Array(size).fill(0);
+        for (const constraint of component.constraints) {
+            const ratio = constraint.count / constraint.vars.length;
+            for (const v of constraint.vars) {
+                density[v] = Math.max(density[v], ratio);
+            }
+        }
+        const expectedMines = Math.min(size, Math.round(density.reduce((sum, p) => sum + p, 0)));
+        const distribution = new Array(size + 1).fill(0);
+        const hits = new Array(size + 1).fill(null);
+        distribution[expectedMines] = 1;
+        hits[expectedMines] = density;
+        return { cells: component.cells, distribution, hits, approximate: true };
+    }
+
+    _convolve(a, b) {
+        const result = new Array(a.length + b.length - 1).fill(0);
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === 0) continue;
+            for (let j = 0; j < b.length; j++) {
+                result[i + j] += a[i] * b[j];
+            }
+        }
+        return result;
+    }
+
+    // Natural log of n choose k, summed term by term so large boards don't overflow
+    _log_binomial(n, k) {
+        if (k < 0 || k > n) return -Infinity;
+        k = Math.min(k, n - k);
+        let result = 0;
+        for (let i = 1; i <= k; i++) {
+            result += Math.log((n - k + i) / i);
+        }
+        return result;
+    }
+}
+
+// In the browser these classes are plain globals loaded with a <script> tag;
+// under Node (e.g. simulate.js) they are exported as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Minesweeper, Sentence, MinesweeperAI, SeededRandom, BoardCode, GENERATION_MODES, BOARD_GENERATIONS, PROBABILITY_EPSILON };
+}
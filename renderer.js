@@ -0,0 +1,415 @@
+// renderer.js
+//
+// Paints boards onto canvases. A BoardRenderer repaints only when it is given a new
+// state with update(), at most once per animation frame, and then only the cells whose
+// state has changed: the empty grid is drawn once to an offscreen layer, the cells are
+// kept on a second layer, and each frame copies that to the screen. Newly revealed cells
+// fade in and a hit mine flashes, unless the player prefers reduced motion. Colours come
+// from the theme picked with setRenderTheme(), shared by every renderer on the page.
+
+const BOARD_PADDING = 20; // Padding around the board
+const BOARD_ORIGIN_X = BOARD_PADDING;
+const BOARD_ORIGIN_Y = BOARD_PADDING;
+const REVEAL_ANIMATION_MS = 150;    // Time for a revealed cell to fade in
+const EXPLOSION_ANIMATION_MS = 600; // Time for the flash around a hit mine
+const THEME_STORAGE_KEY = 'minesweeper-ai.theme';
+
+// numbers[n] is the colour of the number n
+const RENDER_THEMES = {
+    classic: {
+        label: 'Classic',
+        hidden: '#B4B4B4',
+        hiddenEdge: '#E6E6E6', // Inner rim that makes hidden cells look raised
+        revealed: '#D8D8D8',
+        border: '#7B7B7B',
+        numbers: [null, '#0000FF', '#008000', '#FF0000', '#000080', '#800000', '#008080', '#000000', '#808080'],
+        flag: '#FF0000',
+        flagPole: '#000000',
+        mine: '#000000',
+        mineShine: '#FFFFFF',
+        exploded: '#FF0000',
+        wrongFlag: '#FF0000',
+        explosion: '#FFA500',
+        wrapEdge: '#00BFFF',
+        probabilityText: '#333333' // The AI view's mine chances, over hidden cells
+    },
+    dark: {
+        label: 'Dark',
+        hidden: '#4A4F5A',
+        hiddenEdge: '#646B78',
+        revealed: '#23262D',
+        border: '#15171C',
+        numbers: [null, '#6CA8FF', '#7CD67C', '#FF6B6B', '#B48CFF', '#FFB347', '#4DD0E1', '#F0F0F0', '#A0A0A0'],
+        flag: '#FF6B6B',
+        flagPole: '#E0E0E0',
+        mine: '#E0E0E0',
+        mineShine: '#23262D',
+        exploded: '#B03030',
+        wrongFlag: '#FFB347',
+        explosion: '#FFB347',
+        wrapEdge: '#4DD0E1',
+        probabilityText: '#F0F0F0'
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        hidden: '#FFFFFF',
+        hiddenEdge: '#FFFFFF',
+        revealed: '#000000',
+        border: '#000000',
+        numbers: [null, '#00FFFF', '#00FF00', '#FFFF00', '#FF80FF', '#FFA040', '#FFFFFF', '#FFFFFF', '#FFFFFF'],
+        flag: '#FF0000',
+        flagPole: '#000000',
+        mine: '#FFFF00',
+        mineShine: '#000000',
+        exploded: '#FF0000',
+        wrongFlag: '#FF00FF',
+        explosion: '#FFFF00',
+        wrapEdge: '#FFFF00',
+        probabilityText: '#000000'
+    }
+};
+const THEME_NAMES = Object.keys(RENDER_THEMES);
+
+// What a cell shows. Mines and wrong flags are only shown once the game is lost.
+const CELL_HIDDEN = 0;
+const CELL_REVEALED = 1;
+const CELL_FLAGGED = 2;
+const CELL_MINE = 3;
+const CELL_EXPLODED = 4;    // The mine that lost the game
+const CELL_WRONG_FLAG = 5;  // A flag on a cell that isn't a mine
+
+let renderTheme = RENDER_THEMES.classic;
+const boardRenderers = new Set(); // Every renderer, to repaint when the theme changes
+
+function setRenderTheme(name) {
+    renderTheme = RENDER_THEMES[name] || RENDER_THEMES.classic;
+    for (const renderer of boardRenderers) {
+        renderer.update();
+    }
+}
+
+// The theme the player picked last time, or 'classic'
+function loadTheme() {
+    try {
+        const name = localStorage.getItem(THEME_STORAGE_KEY);
+        return THEME_NAMES.includes(name) ? name : 'classic';
+    } catch (error) {
+        return 'classic';
+    }
+}
+
+function saveTheme(name) {
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, name);
+    } catch (error) {
+        console.warn('Could not save the theme:', error);
+    }
+}
+
+class BoardRenderer {
+    // options.animate can turn the reveal and explosion animations off (the board editor does)
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.animate = options.animate !== false;
+        this.onPaint = null;   // Called with the context after each paint, to draw on top of the board
+        this.state = null;
+        this.framePending = false;
+        this.layout = null;    // What the layers below were drawn for
+        this.gridLayer = null; // Every cell hidden
+        this.cellLayer = null; // Every cell as it was last painted
+        this.cellStates = null;  // CELL_* of each cell on the cell layer, by row * width + col
+        this.mineCounts = null;  // Cached board.nearby_mines() of each cell, or -1 until needed
+        this.animations = [];    // { type: 'reveal', cells, start } or { type: 'explosion', cell, start }
+        boardRenderers.add(this);
+    }
+
+    // Show a new state on the next frame: { board, revealed, flags, showMines, explodedCell,
+    // cellSize, view }. revealed and flags are sets of "row,col" keys; showMines uncovers
+    // the mines and wrong flags, and explodedCell is the key of the mine that was hit.
+    // view is the zoom and pan ({ scale, x, y }) if the canvas has one. With no argument
+    // the last state is painted again.
+    update(state = this.state) {
+        this.state = state;
+        if (state && !this.framePending) {
+            this.framePending = true;
+            requestAnimationFrame((now) => this._paint(now));
+        }
+    }
+
+    _paint(now) {
+        this.framePending = false;
+        const state = this.state;
+        const { board, cellSize } = state;
+        const layout = { board, cellSize, theme: renderTheme, width: this.canvas.width, height: this.canvas.height };
+        const fresh = !this.layout || Object.keys(layout).some(key => layout[key] !== this.layout[key]);
+        if (fresh) {
+            this._buildLayers(layout);
+        }
+        this._updateCells(state, now, fresh);
+
+        const context = this.context;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        const view = state.view || { scale: 1, x: 0, y: 0 };
+        context.setTransform(view.scale, 0, 0, view.scale, view.x, view.y);
+        context.drawImage(this.cellLayer, 0, 0);
+        this._drawAnimations(now);
+        if (this.onPaint) {
+            this.onPaint(context);
+        }
+        context.setTransform(1, 0, 0, 1, 0, 0);
+
+        if (this.animations.length > 0) {
+            this.update();
+        }
+    }
+
+    // Draw the empty grid, and start the cell layer over from it
+    _buildLayers(layout) {
+        const { board, cellSize, width, height } = layout;
+        this.layout = layout;
+        this.gridLayer = this._createLayer(width, height);
+        this.cellLayer = this._createLayer(width, height);
+        this.cellStates = new Uint8Array(board.height * board.width).fill(CELL_HIDDEN);
+        this.mineCounts = new Int8Array(board.height * board.width).fill(-1);
+        this.animations = [];
+
+        const context = this.gridLayer.getContext('2d');
+        for (let i = 0; i < board.height; i++) {
+            for (let j = 0; j < board.width; j++) {
+                this._paintHidden(context, [i, j]);
+            }
+        }
+        if (board.topology.name === 'torus') {
+            // A dashed frame to show that the edges wrap around to the other side
+            const size = board.topology.pixel_size(cellSize);
+            context.setLineDash([6, 4]);
+            context.strokeStyle = renderTheme.wrapEdge;
+            context.lineWidth = 2;
+            context.strokeRect(BOARD_ORIGIN_X - 4, BOARD_ORIGIN_Y - 4, size.width + 8, size.height + 8);
+        }
+        this.cellLayer.getContext('2d').drawImage(this.gridLayer, 0, 0);
+    }
+
+    _createLayer(width, height) {
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+        return layer;
+    }
+
+    // Repaint the cells whose state differs from the cell layer. Unless the layers are
+    // fresh (a new board, size or theme), cells that have just opened are animated.
+    _updateCells(state, now, fresh) {
+        const { board } = state;
+        const context = this.cellLayer.getContext('2d');
+        const animate = this.animate && !fresh && !prefersReducedMotion();
+        const opened = [];
+        for (let i = 0; i < board.height; i++) {
+            for (let j = 0; j < board.width; j++) {
+                const index = i * board.width + j;
+                const cellState = this._cellState(state, i, j);
+                const previous = this.cellStates[index];
+                if (cellState === previous) continue;
+
+                this.cellStates[index] = cellState;
+                this._paintCell(context, [i, j], cellState);
+                if (animate && cellState === CELL_REVEALED && previous === CELL_HIDDEN) {
+                    opened.push([i, j]);
+                } else if (animate && cellState === CELL_EXPLODED) {
+                    this.animations.push({ type: 'explosion', cell: [i, j], start: now });
+                }
+            }
+        }
+        if (opened.length > 0) {
+            this.animations.push({ type: 'reveal', cells: opened, start: now });
+        }
+    }
+
+    _cellState({ board, revealed, flags, showMines, explodedCell }, i, j) {
+        const cellKey = `${i},${j}`;
+        const mine = showMines && board.mines.has(cellKey);
+        if (flags.has(cellKey)) {
+            return showMines && !board.mines.has(cellKey) ? CELL_WRONG_FLAG : CELL_FLAGGED;
+        }
+        if (mine) {
+            return cellKey === explodedCell ? CELL_EXPLODED : CELL_MINE;
+        }
+        return revealed.has(cellKey) ? CELL_REVEALED : CELL_HIDDEN;
+    }
+
+    _mineCount([i, j]) {
+        const index = i * this.layout.board.width + j;
+        if (this.mineCounts[index] < 0) {
+            this.mineCounts[index] = this.layout.board.nearby_mines([i, j]);
+        }
+        return this.mineCounts[index];
+    }
+
+    // --- Painting cells ---
+    // Each works in board coordinates on the layer's context
+
+    _traceCell(context, cell, inset = 0) {
+        context.save();
+        context.translate(BOARD_ORIGIN_X, BOARD_ORIGIN_Y);
+        this.layout.board.topology.trace_cell(context, cell, this.layout.cellSize, inset);
+        context.restore();
+    }
+
+    _cellCenter(cell) {
+        const { x, y } = this.layout.board.topology.cell_center(cell, this.layout.cellSize);
+        return { x: BOARD_ORIGIN_X + x, y: BOARD_ORIGIN_Y + y };
+    }
+
+    _lineWidth() {
+        return Math.max(1, Math.round(this.layout.cellSize / 15));
+    }
+
+    _paintHidden(context, cell) {
+        const lineWidth = this._lineWidth();
+        context.beginPath();
+        this._traceCell(context, cell);
+        context.fillStyle = renderTheme.hidden;
+        context.fill();
+        context.strokeStyle = renderTheme.border;
+        context.lineWidth = lineWidth;
+        context.stroke();
+
+        context.beginPath();
+        this._traceCell(context, cell, lineWidth * 1.5);
+        context.strokeStyle = renderTheme.hiddenEdge;
+        context.stroke();
+    }
+
+    // Replace a cell on the layer: clear it back to the empty grid, then draw its state
+    _paintCell(context, cell, cellState) {
+        context.save();
+        context.beginPath();
+        this._traceCell(context, cell);
+        context.clip();
+        context.drawImage(this.gridLayer, 0, 0);
+        if (cellState !== CELL_HIDDEN && cellState !== CELL_FLAGGED && cellState !== CELL_WRONG_FLAG) {
+            context.fillStyle = cellState === CELL_EXPLODED ? renderTheme.exploded : renderTheme.revealed;
+            context.fill();
+            context.strokeStyle = renderTheme.border;
+            context.lineWidth = this._lineWidth();
+            context.stroke();
+        }
+        context.restore();
+
+        if (cellState === CELL_REVEALED) {
+            this._paintNumber(context, cell);
+        } else if (cellState === CELL_FLAGGED) {
+            this._paintFlag(context, cell);
+        } else if (cellState === CELL_MINE || cellState === CELL_EXPLODED) {
+            this._paintMine(context, cell);
+        } else if (cellState === CELL_WRONG_FLAG) {
+            this._paintFlag(context, cell);
+            this._paintCross(context, cell);
+        }
+    }
+
+    _paintNumber(context, cell) {
+        const count = this._mineCount(cell);
+        if (count === 0) return;
+        const { x, y } = this._cellCenter(cell);
+        context.fillStyle = renderTheme.numbers[count];
+        context.font = `bold ${this.layout.cellSize * 0.6}px Arial`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(String(count), x, y);
+    }
+
+    _paintFlag(context, cell) {
+        const size = this.layout.cellSize;
+        const { x, y } = this._cellCenter(cell);
+        context.fillStyle = renderTheme.flagPole;
+        context.fillRect(x - size * 0.2, y + size * 0.2, size * 0.4, size * 0.08); // Base
+        context.fillRect(x - size * 0.03, y - size * 0.28, size * 0.06, size * 0.5); // Pole
+        context.fillStyle = renderTheme.flag;
+        context.beginPath();
+        context.moveTo(x + size * 0.03, y - size * 0.3);
+        context.lineTo(x - size * 0.25, y - size * 0.15);
+        context.lineTo(x + size * 0.03, y);
+        context.closePath();
+        context.fill();
+    }
+
+    _paintMine(context, cell) {
+        const size = this.layout.cellSize;
+        const { x, y } = this._cellCenter(cell);
+        const radius = size * 0.22;
+        context.strokeStyle = renderTheme.mine;
+        context.lineWidth = Math.max(1, size / 15);
+        context.beginPath();
+        for (let spike = 0; spike < 4; spike++) {
+            const angle = spike * Math.PI / 4;
+            const dx = Math.cos(angle) * radius * 1.45;
+            const dy = Math.sin(angle) * radius * 1.45;
+            context.moveTo(x - dx, y - dy);
+            context.lineTo(x + dx, y + dy);
+        }
+        context.stroke();
+        context.fillStyle = renderTheme.mine;
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.fill();
+        context.fillStyle = renderTheme.mineShine;
+        context.beginPath();
+        context.arc(x - radius * 0.35, y - radius * 0.35, radius * 0.25, 0, Math.PI * 2);
+        context.fill();
+    }
+
+    _paintCross(context, cell) {
+        const reach = this.layout.cellSize * 0.3;
+        const { x, y } = this._cellCenter(cell);
+        context.strokeStyle = renderTheme.wrongFlag;
+        context.lineWidth = Math.max(2, this.layout.cellSize / 10);
+        context.beginPath();
+        context.moveTo(x - reach, y - reach);
+        context.lineTo(x + reach, y + reach);
+        context.moveTo(x + reach, y - reach);
+        context.lineTo(x - reach, y + reach);
+        context.stroke();
+    }
+
+    // --- Animations ---
+    // Drawn on the screen over the cell layer, which already shows where they end up
+
+    _drawAnimations(now) {
+        const context = this.context;
+        this.animations = this.animations.filter((animation) => {
+            const duration = animation.type === 'reveal' ? REVEAL_ANIMATION_MS : EXPLOSION_ANIMATION_MS;
+            const progress = Math.max(0, (now - animation.start) / duration);
+            if (progress >= 1) return false;
+
+            context.save();
+            if (animation.type === 'reveal') {
+                // The hidden cells fade away to show what is under them
+                context.globalAlpha = 1 - progress;
+                context.beginPath();
+                for (const cell of animation.cells) {
+                    this._traceCell(context, cell);
+                }
+                context.clip();
+                context.drawImage(this.gridLayer, 0, 0);
+            } else {
+                // A ring spreading out from the mine and fading
+                const { x, y } = this._cellCenter(animation.cell);
+                context.globalAlpha = 1 - progress;
+                context.strokeStyle = renderTheme.explosion;
+                context.lineWidth = Math.max(2, this.layout.cellSize / 8);
+                context.beginPath();
+                context.arc(x, y, this.layout.cellSize * (0.3 + progress * 1.2), 0, Math.PI * 2);
+                context.stroke();
+            }
+            context.restore();
+            return true;
+        });
+    }
+}
+
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
@@ -0,0 +1,135 @@
+// replay.js
+
+// Bump whenever the replay file format changes shape
+const REPLAY_SCHEMA_VERSION = 1;
+const REPLAY_ACTION_TYPES = ['reveal', 'chord', 'flag', 'undo', 'redo'];
+// Actions that apply to a cell; undo and redo have cell: null
+const REPLAY_CELL_ACTIONS = ['reveal', 'chord', 'flag'];
+// Who made a move: the player, the AI playing a proven-safe cell, or the AI guessing
+const REPLAY_SOURCES = ['human', 'ai-safe', 'ai-guess'];
+
+// Start an empty recording for a new game. Games that begin part-way through (such as
+// a position from the board editor) pass the cells already revealed and flagged as
+// start: { revealed, flags }, lists of "row,col" keys. solver names the strategy the AI
+// judges the game with (see training.js); change it if the player picks another.
+function createRecording(game, start = null, solver = DEFAULT_SOLVER) {
+    const recording = {
+        version: REPLAY_SCHEMA_VERSION,
+        boardCode: game.board_code(),
+        board: game.to_json(),
+        solver,
+        startedAt: Date.now(),
+        actions: []
+    };
+    if (start) {
+        recording.start = { revealed: Array.from(start.revealed), flags: Array.from(start.flags) };
+    }
+    return recording;
+}
+
+// Log one action. The board is re-captured until its mines are down, since
+// safe-first boards only lay them out on the first reveal.
+function recordAction(recording, game, type, cell, source) {
+    if (!recording.board.mines_placed) {
+        recording.board = game.to_json();
+    }
+    recording.actions.push({ type, cell: cell && [cell[0], cell[1]], source, timestamp: Date.now() });
+}
+
+// Board state after each action of a recording: frames[0] is the untouched board and
+// frames[n] is the state after the nth action (which frames[n].action holds). The actions
+// are played through a GameSession, so they follow exactly the same rules as the game.
+function buildReplayFrames(recording) {
+    const session = new GameSession(Minesweeper.from_json(recording.board), { ai: null, solver: null });
+    if (recording.start) {
+        session.restore({ board: recording.board, ai: null, ...recording.start, lost: false, explodedCell: null });
+    }
+    const frame = (action) => ({
+        revealed: new Set(session.revealed),
+        flags: new Set(session.flags),
+        lost: session.status === 'lost',
+        explodedCell: session.explodedCell,
+        action
+    });
+    const frames = [frame(null)];
+    playRecording(session, recording.actions, { after: (action) => frames.push(frame(action)) });
+    return frames;
+}
+
+// Play a recording's actions through session, undoing and redoing them just as the game
+// does. hooks.before and hooks.after, if given, are called with each action just before
+// and just after it is played.
+function playRecording(session, actions, hooks = {}) {
+    const undoStack = [];
+    const redoStack = [];
+
+    for (const action of actions) {
+        if (hooks.before) hooks.before(action);
+        if (action.type === 'undo') {
+            if (undoStack.length > 0) {
+                redoStack.push(session.to_json());
+                session.restore(undoStack.pop());
+            }
+        } else if (action.type === 'redo') {
+            if (redoStack.length > 0) {
+                undoStack.push(session.to_json());
+                session.restore(redoStack.pop());
+            }
+        } else {
+            const before = session.to_json();
+            if (applyReplayAction(session, action)) {
+                undoStack.push(before);
+                redoStack.length = 0;
+            }
+        }
+        if (hooks.after) hooks.after(action);
+    }
+}
+
+// Play one reveal, chord or flag action. Returns false if it didn't apply.
+function applyReplayAction(session, action) {
+    if (action.type === 'flag') {
+        return session.toggleFlag(action.cell, action.source);
+    } else if (action.type === 'chord') {
+        return session.chord(action.cell, action.source);
+    }
+    return session.reveal(action.cell, action.source);
+}
+
+// Throws an Error describing the first problem found in a replay file
+function validateRecording(recording) {
+    const fail = (message) => {
+        throw new Error(`Invalid replay: ${message}`);
+    };
+
+    if (!isPlainObject(recording)) fail('not a JSON object');
+    if (recording.version !== REPLAY_SCHEMA_VERSION) {
+        fail(`schema version ${recording.version} is not supported (expected ${REPLAY_SCHEMA_VERSION})`);
+    }
+    validateBoardData(recording.board, fail);
+    if (!Array.isArray(recording.actions)) fail('actions is not a list');
+    // Recordings from before there was a choice of solver have none
+    if (recording.solver !== undefined && !SOLVER_STRATEGIES.has(recording.solver)) {
+        fail(`unknown solver ${JSON.stringify(recording.solver)}`);
+    }
+
+    const { height, width } = recording.board;
+    if (recording.start !== undefined) {
+        if (!isPlainObject(recording.start)) fail('start is not an object');
+        validateCellList(recording.start.revealed, height, width, 'start revealed cells', fail);
+        validateCellList(recording.start.flags, height, width, 'start flags', fail);
+    }
+    for (const action of recording.actions) {
+        if (!isPlainObject(action) || !REPLAY_ACTION_TYPES.includes(action.type)) {
+            fail(`unknown action ${JSON.stringify(action && action.type)}`);
+        }
+        if (!REPLAY_SOURCES.includes(action.source)) fail(`unknown action source ${JSON.stringify(action.source)}`);
+        if (!REPLAY_CELL_ACTIONS.includes(action.type)) {
+            if (action.cell !== null) fail(`${action.type} action should not have a cell`);
+        } else if (!Array.isArray(action.cell) || !isCount(action.cell[0]) || !isCount(action.cell[1]) ||
+            action.cell[0] >= height || action.cell[1] >= width) {
+            fail(`action cell ${JSON.stringify(action.cell)} is off the board`);
+        }
+        if (typeof action.timestamp !== 'number') fail('action is missing its timestamp');
+    }
+}
@@ -0,0 +1,196 @@
+// save_game.js
+
+// Bump whenever the saved data changes shape; saves with another version are rejected
+const SAVE_SCHEMA_VERSION = 1;
+const SAVE_STORAGE_KEY = 'minesweeper-ai.saved-game';
+
+// Bundle a game in progress (its GameSession: board, player progress and AI knowledge,
+// plus optionally the replay recording, whether undo or the AI were used, and the clock)
+// into a plain object
+function serializeGame({ session, recording = null, usedUndo = false, aiUsed = false, elapsedMs = 0 }) {
+    return {
+        version: SAVE_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        ...session.to_json(),
+        recording,
+        usedUndo,
+        aiUsed,
+        elapsedMs
+    };
+}
+
+// Rebuild game state from serializeGame() output. Throws if the data doesn't fit the schema.
+function deserializeGame(data) {
+    validateSaveData(data);
+    return {
+        session: GameSession.from_json(data),
+        recording: data.recording || null,
+        usedUndo: data.usedUndo === true,
+        aiUsed: data.aiUsed === true,
+        elapsedMs: data.elapsedMs || 0
+    };
+}
+
+// Throws an Error describing the first problem found in a saved game
+function validateSaveData(data) {
+    const fail = (message) => {
+        throw new Error(`Invalid saved game: ${message}`);
+    };
+
+    if (!isPlainObject(data)) fail('not a JSON object');
+    if (data.version !== SAVE_SCHEMA_VERSION) {
+        fail(`schema version ${data.version} is not supported (expected ${SAVE_SCHEMA_VERSION})`);
+    }
+
+    validateBoardData(data.board, fail);
+    const { height, width } = data.board;
+    const checkCells = (cells, name) => validateCellList(cells, height, width, name, fail);
+
+    const ai = data.ai;
+    if (!isPlainObject(ai)) fail('missing AI state');
+    if (ai.height !== height || ai.width !== width) fail('AI state is for a different board size');
+    if ((ai.topology || 'square') !== (data.board.topology || 'square')) fail('AI state is for a different board topology');
+    if (!isCount(ai.total_mines)) fail('AI state has an invalid mine count');
+    validateRngData(ai.rng, 'AI state', fail);
+    checkCells(ai.moves_made, 'AI moves');
+    checkCells(ai.mines, 'AI mines');
+    checkCells(ai.safes, 'AI safes');
+    if (!Array.isArray(ai.knowledge)) fail('AI knowledge is not a list');
+    for (const sentence of ai.knowledge) {
+        if (!isPlainObject(sentence) || !isCount(sentence.count)) fail('AI knowledge contains an invalid sentence');
+        checkCells(sentence.cells, 'AI sentence');
+        if (sentence.sources !== undefined) checkCells(sentence.sources, 'AI sentence sources');
+    }
+    if (ai.deductions !== undefined && !Array.isArray(ai.deductions)) fail('AI deductions is not a list');
+    // Saves from before there was a choice of solver have none, and the AI is often the
+    // solver too; what else a solver's state holds is up to its strategy
+    if (ai.solver !== undefined && !SOLVER_STRATEGIES.has(ai.solver)) fail(`unknown AI strategy "${ai.solver}"`);
+    if (data.solver !== undefined && data.solver !== null && data.solver !== SHARED_SOLVER) {
+        if (!isPlainObject(data.solver)) fail('solver state is not an object');
+        if (!SOLVER_STRATEGIES.has(data.solver.solver || DEFAULT_SOLVER)) fail(`unknown solver "${data.solver.solver}"`);
+    }
+
+    checkCells(data.revealed, 'revealed cells');
+    // Saves from before the AI caught up lazily have none
+    if (data.unobserved !== undefined) checkCells(data.unobserved, 'cells the AI has yet to learn');
+    checkCells(data.flags, 'flags');
+    if (typeof data.lost !== 'boolean') fail('lost must be true or false');
+    if (data.explodedCell !== undefined && data.explodedCell !== null) {
+        checkCells([data.explodedCell], 'exploded cell');
+    }
+    if (data.usedUndo !== undefined && typeof data.usedUndo !== 'boolean') fail('usedUndo must be true or false');
+    if (data.aiUsed !== undefined && typeof data.aiUsed !== 'boolean') fail('aiUsed must be true or false');
+    if (data.elapsedMs !== undefined && !(typeof data.elapsedMs === 'number' && data.elapsedMs >= 0)) {
+        fail('elapsedMs must be a non-negative number');
+    }
+    if (data.recording !== undefined && data.recording !== null) {
+        validateRecording(data.recording);
+    }
+}
+
+// Checks Minesweeper.to_json() output, reporting problems through fail(message)
+function validateBoardData(board, fail) {
+    if (!isPlainObject(board)) fail('missing board');
+    if (!isCount(board.height) || board.height < 1 || !isCount(board.width) || board.width < 1) {
+        fail('board has an invalid size');
+    }
+    if (!isCount(board.mine_count) || board.mine_count >= board.height * board.width) fail('board has an invalid mine count');
+    if (!BOARD_GENERATIONS.includes(board.generation)) fail(`unknown generation mode ${JSON.stringify(board.generation)}`);
+    // Saves from before topologies existed have none, and are square
+    if (board.topology !== undefined && !TOPOLOGY_NAMES.includes(board.topology)) {
+        fail(`unknown board topology ${JSON.stringify(board.topology)}`);
+    }
+    if (!isCount(board.max_attempts) || !isCount(board.generation_attempts)) fail('board has invalid generation attempts');
+    if (typeof board.no_guess !== 'boolean' || typeof board.mines_placed !== 'boolean') fail('board has invalid flags');
+    validateRngData(board.rng, 'board', fail);
+    validateCellList(board.mines, board.height, board.width, 'board mines', fail);
+    if (board.mines_placed && new Set(board.mines).size !== board.mine_count) {
+        fail('board mines do not match its mine count');
+    }
+}
+
+function validateRngData(rng, name, fail) {
+    if (!isPlainObject(rng) || !isCount(rng.seed) || !isCount(rng.state)) {
+        fail(`${name} has no valid random generator state`);
+    }
+}
+
+// Every entry must be a "row,col" key on a height x width board
+function validateCellList(cells, height, width, name, fail) {
+    if (!Array.isArray(cells)) fail(`${name} is not a list`);
+    for (const cellKey of cells) {
+        const match = /^(\d+),(\d+)$/.exec(cellKey);
+        if (!match || Number(match[1]) >= height || Number(match[2]) >= width) {
+            fail(`${name} contains an invalid cell: ${JSON.stringify(cellKey)}`);
+        }
+    }
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// --- Browser storage and files ---
+
+function storeSavedGame(data) {
+    try {
+        localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+        console.log('Could not save game:', error);
+    }
+}
+
+// The saved game from localStorage, or null if there is none or it can't be used
+function loadSavedGame() {
+    try {
+        const raw = localStorage.getItem(SAVE_STORAGE_KEY);
+        if (!raw) return null;
+        const data = JSON.parse(raw);
+        validateSaveData(data);
+        return data;
+    } catch (error) {
+        console.log('Ignoring saved game:', error);
+        return null;
+    }
+}
+
+function clearSavedGame() {
+    try {
+        localStorage.removeItem(SAVE_STORAGE_KEY);
+    } catch (error) {
+        console.log('Could not clear saved game:', error);
+    }
+}
+
+// Offer data to the user as a downloadable .json file
+function downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Read a user-chosen file as JSON. Rejects if it can't be read or parsed.
+function readJsonFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                resolve(JSON.parse(reader.result));
+            } catch (error) {
+                reject(new Error(`${file.name} is not valid JSON`));
+            }
+        };
+        reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+        reader.readAsText(file);
+    });
+}
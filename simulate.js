@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// simulate.js
+//
+// Headless benchmark for the AI's solvers (see solvers.js): plays complete games with no
+// UI and reports how the chosen solver did. Run with --help for the options.
+
+const { Minesweeper, SeededRandom, GENERATION_MODES, PROBABILITY_EPSILON } = require('./minesweeper_logic.js');
+const { GameSession } = require('./game_session.js');
+const { DEFAULT_SOLVER, SOLVER_STRATEGIES } = require('./solvers.js');
+const { TOPOLOGY_NAMES } = require('./topology.js');
+
+const USAGE = `Usage: node simulate.js [options]
+
+  --games N         Number of games to play (default 100)
+  --height N        Board height (default 8)
+  --width N         Board width (default 8)
+  --mines N         Number of mines (default 8)
+  --seed N          Seed for the first game; game i uses seed + i (default: random)
+  --generation M    Board generation mode: ${GENERATION_MODES.join(', ')} (default safe-first)
+  --topology T      Board topology: ${TOPOLOGY_NAMES.join(', ')} (default square)
+  --solver S        Solver strategy: ${Array.from(SOLVER_STRATEGIES.keys()).join(', ')} (default ${DEFAULT_SOLVER})
+  --guess M         How the AI guesses when no move is safe: best, random (default best)
+  --json            Print the results as JSON instead of a table
+  --help            Show this message`;
+
+const GUESS_METHODS = ['best', 'random'];
+
+function parseArgs(argv) {
+    const options = {
+        games: 100,
+        height: 8,
+        width: 8,
+        mines: 8,
+        seed: null,
+        generation: 'safe-first',
+        topology: 'square',
+        solver: DEFAULT_SOLVER,
+        guess: 'best',
+        json: false
+    };
+    const integerOptions = ['games', 'height', 'width', 'mines', 'seed'];
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--help') {
+            options.help = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg.startsWith('--') && arg.slice(2) in options) {
+            const name = arg.slice(2);
+            const value = argv[++index];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            if (integerOptions.includes(name)) {
+                if (!/^\d+$/.test(value)) {
+                    throw new Error(`${arg} must be a non-negative integer, got "${value}"`);
+                }
+                options[name] = Number(value);
+            } else {
+                options[name] = value;
+            }
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (options.games < 1 || options.height < 1 || options.width < 1) {
+        throw new Error('--games, --height and --width must be at least 1');
+    }
+    if (options.mines >= options.height * options.width) {
+        throw new Error('--mines must be less than the number of cells');
+    }
+    if (!GENERATION_MODES.includes(options.generation)) {
+        throw new Error(`--generation must be one of: ${GENERATION_MODES.join(', ')}`);
+    }
+    if (!TOPOLOGY_NAMES.includes(options.topology)) {
+        throw new Error(`--topology must be one of: ${TOPOLOGY_NAMES.join(', ')}`);
+    }
+    if (!SOLVER_STRATEGIES.has(options.solver)) {
+        throw new Error(`--solver must be one of: ${Array.from(SOLVER_STRATEGIES.keys()).join(', ')}`);
+    }
+    if (!GUESS_METHODS.includes(options.guess)) {
+        throw new Error(`--guess must be one of: ${GUESS_METHODS.join(', ')}`);
+    }
+    if (options.seed === null) {
+        options.seed = SeededRandom.random_seed();
+    } else if (options.seed > 0xFFFFFFFF) {
+        throw new Error('--seed must be at most 4294967295');
+    }
+    return options;
+}
+
+// Play one game to the end. Returns { won, moves, guesses, moveTime } where guesses
+// counts the moves that risked a mine and moveTime is the total milliseconds spent
+// choosing moves and updating the AI's knowledge.
+function playGame(options, seed) {
+    const { height, width, mines } = options;
+    const board = new Minesweeper(height, width, mines, { generation: options.generation, topology: options.topology, seed });
+    const session = new GameSession(board, { solver: options.solver });
+
+    let moves = 0;
+    let guesses = 0;
+    let moveTime = 0;
+
+    while (!session.isOver()) {
+        // Safe-first and no-guess boards place the mines around the opening move, so it risks nothing
+        const opening = !session.board.mines_placed;
+        const start = performance.now();
+        const move = session.aiStep({ guess: options.guess });
+        moveTime += performance.now() - start;
+        if (move === null) break; // Nothing left the AI is willing to reveal
+        moves++;
+        // A cell the mine total proves safe is still proposed as a guess by the subset
+        // rule, but it risks nothing
+        const risky = move.confidence === null || move.confidence < 1 - PROBABILITY_EPSILON;
+        if (move.kind === 'guess' && risky && !opening) guesses++;
+    }
+
+    return { won: session.status === 'won', moves, guesses, moveTime };
+}
+
+function simulate(options) {
+    let wins = 0;
+    let moves = 0;
+    let guesses = 0;
+    let moveTime = 0;
+
+    for (let index = 0; index < options.games; index++) {
+        const result = playGame(options, (options.seed + index) >>> 0);
+        if (result.won) wins++;
+        moves += result.moves;
+        guesses += result.guesses;
+        moveTime += result.moveTime;
+    }
+
+    return {
+        board: { height: options.height, width: options.width, mines: options.mines },
+        generation: options.generation,
+        topology: options.topology,
+        solver: options.solver,
+        guess: options.guess,
+        seed: options.seed,
+        games: options.games,
+        wins,
+        winRate: wins / options.games,
+        avgGuesses: guesses / options.games,
+        avgMoves: moves / options.games,
+        avgMoveMs: moves > 0 ? moveTime / moves : 0
+    };
+}
+
+function formatTable(results) {
+    const rows = [
+        ['Board', `${results.board.height}x${results.board.width}, ${results.board.mines} mines`],
+        ['Generation', results.generation],
+        ['Topology', results.topology],
+        ['Solver', results.solver],
+        ['Guessing', results.guess],
+        ['Seed', String(results.seed)],
+        ['Games', String(results.games)],
+        ['Wins', String(results.wins)],
+        ['Win rate', `${(results.winRate * 100).toFixed(1)}%`],
+        ['Avg guesses / game', results.avgGuesses.toFixed(2)],
+        ['Avg moves / game', results.avgMoves.toFixed(2)],
+        ['Avg time / move', `${results.avgMoveMs.toFixed(3)} ms`]
+    ];
+    const labelWidth = Math.max(...rows.map(([label]) => label.length));
+    return rows.map(([label, value]) => `${label.padEnd(labelWidth)}  ${value}`).join('\n');
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const results = simulate(options);
+    console.log(options.json ? JSON.stringify(results, null, 2) : formatTable(results));
+}
+
+module.exports = { playGame, simulate };
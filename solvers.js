@@ -0,0 +1,213 @@
+// solvers.js
+//
+// The strategies the AI can play with. A solver learns the board one revealed number at
+// a time and says which cell it would open next; GameSession tells its solver every
+// number before asking it (see GameSession.catchUp()) and plays what it proposes (see
+// propose_move() and GameSession.aiStep()). A solver has:
+//   solver_name           The name it is registered under (see register_solver())
+//   observe(cell, count)  The cell ([row, col]) was revealed, with count mines around it
+//   propose()             Its next move, as { kind, cells, confidence }, or null if it has
+//                         nothing left to try. kind is 'safe' for cells it has proven safe
+//                         and 'guess' otherwise, cells are the "row,col" keys it rates
+//                         equally best, and confidence is the chance (0 to 1) that they
+//                         are safe. Asking mustn't change what it will do, since the game
+//                         asks a copy kept in a Web Worker (see ai_worker.js).
+//   choose(cells)         Optional: which of a guess's cells to play (else the first).
+//                         Like propose(), asking mustn't change what it will do.
+//   known_mines()         Set of the keys of cells it has proven are mines
+//   known_safes()         Set of the keys of cells it has proven safe
+//   to_json()             Plain data for saving and undo, with solver set to solver_name
+// A new strategy is a script loaded after this one (and imported by ai_worker.js) that
+// calls register_solver(); the game lists every registered strategy to choose from.
+
+// Under Node (e.g. simulate.js) the game logic isn't loaded with a <script> tag,
+// so pull it in here
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./minesweeper_logic.js'));
+}
+
+const DEFAULT_SOLVER = 'subset';
+
+// name -> { label, description, create(height, width, mines, options), from_json(data) }.
+// options are as for MinesweeperAI: seed (for its random choices) and topology.
+const SOLVER_STRATEGIES = new Map();
+
+function register_solver(name, strategy) {
+    SOLVER_STRATEGIES.set(name, strategy);
+}
+
+function solver_strategy(name) {
+    const strategy = SOLVER_STRATEGIES.get(name);
+    if (!strategy) {
+        throw new Error(`Unknown solver: ${name}`);
+    }
+    return strategy;
+}
+
+function create_solver(name, height, width, mines, options = {}) {
+    return solver_strategy(name).create(height, width, mines, options);
+}
+
+// Snapshots saved before there was a choice of strategy are the subset rule's
+function solver_from_json(data) {
+    return solver_strategy(data.solver || DEFAULT_SOLVER).from_json(data);
+}
+
+// The solver's proposal with cell added: the "row,col" key it would play, which is the
+// proven safe cell, or its choice among a guess's cells. null if it proposes nothing.
+function propose_move(solver) {
+    const proposal = solver.propose();
+    if (proposal === null) return null;
+    const { kind, cells } = proposal;
+    const cell = kind === 'guess' && solver.choose ? solver.choose(cells) : cells[0];
+    return { ...proposal, cell };
+}
+
+// Which mine totals two groups of cells can have between them, given which totals each
+// can have on its own (support[k] is true if k mines is possible)
+function convolve_support(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(false);
+    a.forEach((aPossible, i) => {
+        if (!aPossible) return;
+        b.forEach((bPossible, j) => {
+            if (bPossible) result[i + j] = true;
+        });
+    });
+    return result;
+}
+
+// The subset rule, plus exhaustive constraint enumeration: every arrangement of mines the
+// revealed numbers (and the board's mine total) allow is worked out, component by
+// component, and a cell that is safe in all of them, or a mine in all of them, is known
+// too. That settles positions where sentences only prove something taken together.
+// Enumerating is slow on a big frontier, so it waits until the solver is asked.
+class EnumerationSolver extends MinesweeperAI {
+    constructor(height, width, mines, options = {}) {
+        super(height, width, mines, options);
+        this.unsettled = false; // Knowledge was added since the last enumeration
+    }
+
+    get solver_name() {
+        return 'enumeration';
+    }
+
+    add_knowledge(cell, count) {
+        super.add_knowledge(cell, count);
+        this.unsettled = true;
+    }
+
+    propose() {
+        this.settle();
+        return super.propose();
+    }
+
+    known_mines() {
+        this.settle();
+        return super.known_mines();
+    }
+
+    known_safes() {
+        this.settle();
+        return super.known_safes();
+    }
+
+    static from_json(data) {
+        const solver = super.from_json(data);
+        solver.unsettled = true;
+        return solver;
+    }
+
+    // Mark every cell the enumeration proves. Those cells get no deductions entry, as no
+    // single sentence proves them. A component too big to enumerate in full (see
+    // MAX_ENUMERATION_STEPS) proves nothing, and then neither does the mine total.
+    settle() {
+        if (!this.unsettled) return;
+        this.unsettled = false;
+
+        const unknown = new Set();
+        for (let i = 0; i < this.height; i++) {
+            for (let j = 0; j < this.width; j++) {
+                const cellKey = `${i},${j}`;
+                if (!this.moves_made.has(cellKey) && !this.mines.has(cellKey) && !this.safes.has(cellKey)) {
+                    unknown.add(cellKey);
+                }
+            }
+        }
+        const solved = this._frontier_components(this._frontier_constraints(unknown))
+            .map(component => this._enumerate_component(component));
+        const interior = new Set(unknown);
+        for (const component of solved) {
+            component.cells.forEach(cellKey => interior.delete(cellKey));
+        }
+        const exact = solved.filter(component => !component.approximate);
+        const remainingMines = this.total_mines === null || this.total_mines === undefined
+            ? null
+            : this.total_mines - this.mines.size;
+        const useTotal = remainingMines !== null && exact.length === solved.length;
+        // Whether the rest of the board can hold what's left once total mines are placed
+        const fits = (total) => !useTotal || (remainingMines - total >= 0 && remainingMines - total <= interior.size);
+
+        const supports = exact.map(component => component.distribution.map(weight => weight > 0));
+        const verdicts = []; // [cellKey, isMine]
+        exact.forEach((component, index) => {
+            const others = supports.reduce((acc, support, other) => (
+                other === index ? acc : convolve_support(acc, support)
+            ), [true]);
+            // The mine counts this component can really have, with the rest of the board
+            const possible = supports[index].map((supported, k) => (
+                supported && others.some((otherPossible, t) => otherPossible && fits(k + t))
+            ));
+            if (!possible.includes(true)) return; // The knowledge base contradicts itself
+
+            component.cells.forEach((cellKey, v) => {
+                let alwaysMine = true;
+                let neverMine = true;
+                possible.forEach((isPossible, k) => {
+                    if (!isPossible) return;
+                    const hits = component.hits[k][v];
+                    if (hits > 0) neverMine = false;
+                    if (hits < component.distribution[k]) alwaysMine = false;
+                });
+                if (neverMine || alwaysMine) {
+                    verdicts.push([cellKey, alwaysMine]);
+                }
+            });
+        });
+
+        // The interior takes whatever the frontier leaves of the mine total
+        if (useTotal && interior.size > 0) {
+            const leftovers = [];
+            supports.reduce(convolve_support, [true]).forEach((isPossible, total) => {
+                if (isPossible && fits(total)) leftovers.push(remainingMines - total);
+            });
+            const allSafe = leftovers.length > 0 && leftovers.every(leftover => leftover === 0);
+            const allMines = leftovers.length > 0 && leftovers.every(leftover => leftover === interior.size);
+            if (allSafe || allMines) {
+                interior.forEach(cellKey => verdicts.push([cellKey, allMines]));
+            }
+        }
+
+        for (const [cellKey, isMine] of verdicts) {
+            this._mark(cellKey, isMine);
+        }
+        this.check_knowledge();
+    }
+}
+
+register_solver('subset', {
+    label: 'Subset rule',
+    description: 'Compares the revealed numbers two at a time, then guesses the lowest-risk cell',
+    create: (height, width, mines, options) => new MinesweeperAI(height, width, mines, options),
+    from_json: (data) => MinesweeperAI.from_json(data)
+});
+
+register_solver('enumeration', {
+    label: 'Exhaustive enumeration',
+    description: 'Also tries every arrangement of mines the numbers allow, to prove cells the subset rule can\'t',
+    create: (height, width, mines, options) => new EnumerationSolver(height, width, mines, options),
+    from_json: (data) => EnumerationSolver.from_json(data)
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_SOLVER, SOLVER_STRATEGIES, EnumerationSolver, register_solver, create_solver, solver_from_json, propose_move };
+}
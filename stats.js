@@ -0,0 +1,115 @@
+// stats.js
+
+// Bump whenever the stored statistics change shape; older data is then discarded
+const STATS_SCHEMA_VERSION = 1;
+const STATS_STORAGE_KEY = 'minesweeper-ai.stats';
+const MAX_STORED_GAMES = 5000; // Oldest results are dropped beyond this
+
+// Statistics are kept as the list of finished games (oldest first), and every total,
+// streak and best time is worked out from it. Each result looks like
+// { id, board: "16x16/40", topology, won, timeMs, bbbv, clicks, aiUsed, usedUndo, finishedAt }.
+// Results from before there were topologies have none, and were square.
+function loadStats() {
+    try {
+        const raw = localStorage.getItem(STATS_STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (data && data.version === STATS_SCHEMA_VERSION && Array.isArray(data.games)) {
+            return data;
+        }
+    } catch (error) {
+        console.log('Ignoring stored statistics:', error);
+    }
+    return { version: STATS_SCHEMA_VERSION, games: [] };
+}
+
+function storeStats(stats) {
+    try {
+        localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+    } catch (error) {
+        console.log('Could not save statistics:', error);
+    }
+}
+
+// Add a finished game and return the stored entry (with its id)
+function recordGameResult(result) {
+    const stats = loadStats();
+    const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, ...result };
+    stats.games.push(entry);
+    if (stats.games.length > MAX_STORED_GAMES) {
+        stats.games.splice(0, stats.games.length - MAX_STORED_GAMES);
+    }
+    storeStats(stats);
+    return entry;
+}
+
+// Take back a result, e.g. when the player undoes their way out of a finished game
+function removeGameResult(id) {
+    const stats = loadStats();
+    stats.games = stats.games.filter(entry => entry.id !== id);
+    storeStats(stats);
+}
+
+function clearStats() {
+    try {
+        localStorage.removeItem(STATS_STORAGE_KEY);
+    } catch (error) {
+        console.log('Could not clear statistics:', error);
+    }
+}
+
+// A game counts as human-only unless the AI (AI Move or Hint) or undo was used
+function isAssistedGame(entry) {
+    return entry.aiUsed || entry.usedUndo;
+}
+
+// Totals for each board configuration (size, mines and topology), split into human-only and
+// assisted games. Returns rows of
+// { board, topology, assisted, played, wins, winRate, currentStreak, bestStreak, bestTimeMs }.
+function summarizeStats(games) {
+    const groups = new Map();
+    for (const entry of games) {
+        const assisted = isAssistedGame(entry);
+        const topology = entry.topology || 'square';
+        const key = `${entry.board}|${topology}|${assisted}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                board: entry.board,
+                topology,
+                assisted,
+                played: 0,
+                wins: 0,
+                currentStreak: 0,
+                bestStreak: 0,
+                bestTimeMs: null
+            });
+        }
+        const group = groups.get(key);
+        group.played++;
+        if (entry.won) {
+            group.wins++;
+            group.currentStreak++;
+            group.bestStreak = Math.max(group.bestStreak, group.currentStreak);
+            if (group.bestTimeMs === null || entry.timeMs < group.bestTimeMs) {
+                group.bestTimeMs = entry.timeMs;
+            }
+        } else {
+            group.currentStreak = 0;
+        }
+    }
+
+    return Array.from(groups.values())
+        .map(group => ({ ...group, winRate: group.wins / group.played }))
+        .sort((a, b) => a.board.localeCompare(b.board, undefined, { numeric: true }) ||
+            TOPOLOGY_NAMES.indexOf(a.topology) - TOPOLOGY_NAMES.indexOf(b.topology) ||
+            Number(a.assisted) - Number(b.assisted));
+}
+
+// Score for a won game: the board's 3BV, 3BV per second, and efficiency
+// (3BV as a share of the clicks actually made)
+function scoreGame({ bbbv, clicks, timeMs }) {
+    return {
+        bbbv,
+        bbbvPerSecond: timeMs > 0 ? bbbv / (timeMs / 1000) : 0,
+        efficiency: clicks > 0 ? bbbv / clicks : 0
+    };
+}
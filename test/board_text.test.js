@@ -0,0 +1,96 @@
+// test/board_text.test.js
+//
+// The plain-text position format, and analysing positions written in it.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBoardText, formatBoardText, positionBoard, positionSession, analyzePosition } = require('../board_text.js');
+
+// Write a parsed position back out as text
+function formatPosition(position) {
+    return formatBoardText({
+        board: positionBoard(position),
+        revealed: new Set(position.revealed),
+        flags: new Set(position.flags)
+    });
+}
+
+test('parses every kind of cell', () => {
+    const position = parseBoardText([
+        '# A comment, then a blank line',
+        '',
+        'F * . .',
+        '2 2 1 f',
+        '0 0 0 .'
+    ].join('\n'));
+
+    assert.deepEqual(position, {
+        height: 3,
+        width: 4,
+        topology: 'square',
+        mines: ['0,0', '0,1'],
+        revealed: ['1,0', '1,1', '1,2', '2,0', '2,1', '2,2'],
+        flags: ['0,0', '1,3']
+    });
+});
+
+for (const [topology, text] of [
+    ['square', '*.*..\n121..\n.....\n'],
+    ['torus', '# topology: torus\n*...\n1..1\n.f..\n'],
+    ['hex', '# topology: hex\n*F..\n 210.\n....\n']
+]) {
+    test(`a ${topology} position formats back to the text it was parsed from`, () => {
+        const position = parseBoardText(text);
+        assert.equal(position.topology, topology);
+        assert.equal(formatPosition(position), text);
+        assert.deepEqual(parseBoardText(formatPosition(position)), position);
+    });
+}
+
+test('a session started from a position formats back to it', () => {
+    const text = 'F*..\n221f\n000.\n';
+    const session = positionSession(parseBoardText(text));
+
+    assert.equal(formatBoardText(session), text);
+    assert.equal(session.status, 'playing');
+    assert.equal(session.minesLeft(), 0);
+});
+
+test('reports where a position goes wrong', () => {
+    assert.throws(() => parseBoardText('# nothing but comments'), /no rows/);
+    assert.throws(() => parseBoardText('*..\n..\n'), /^Error: Line 2: expected 3 cells/);
+    assert.throws(() => parseBoardText('*.x\n'), /^Error: Line 1, column 3: unexpected "x"/);
+    assert.throws(() => parseBoardText('*2.\n...\n'), /^Error: Line 1, column 2: this cell is next to 1 mine\(s\), not 2/);
+    assert.throws(() => parseBoardText('# topology: cube\n*.\n'), /^Error: Line 1: unknown topology "cube"/);
+});
+
+test('analysing a 1-2-1 finds its forced mines and safe cells', () => {
+    // The subset rule alone can't split a 1-2-1, but weighing up the arrangements can
+    const text = [
+        '.*.*.',
+        '.121.',
+        '00000'
+    ].join('\n');
+    const position = parseBoardText(text);
+    const board = positionBoard(position);
+    const analysis = analyzePosition(board, position.revealed);
+
+    assert.deepEqual(analysis.mines, ['0,1', '0,3']);
+    assert.deepEqual(analysis.safes, ['0,0', '0,2', '0,4', '1,0', '1,4']);
+    assert.deepEqual(analysis.ambiguous, []);
+    assert.deepEqual(Array.from(analysis.inferred).sort(), ['1,0', '1,4']);
+});
+
+test('analysing an undecided position lists the risks, least likely mine first', () => {
+    // The 1 is next to three cells, and the mine total says nothing more
+    const position = parseBoardText('1.\n.*\n');
+    const analysis = analyzePosition(positionBoard(position), position.revealed);
+
+    assert.deepEqual(analysis.safes, []);
+    assert.deepEqual(analysis.mines, []);
+    assert.deepEqual(analysis.ambiguous.map(({ cell }) => cell), ['0,1', '1,0', '1,1']);
+    for (const { probability } of analysis.ambiguous) {
+        assert.ok(Math.abs(probability - 1 / 3) < 1e-9);
+    }
+});
@@ -0,0 +1,218 @@
+// test/game_session.test.js
+//
+// GameSession's moves, events, and saving and restoring, on small fixed layouts.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Minesweeper } = require('../minesweeper_logic.js');
+const { GameSession } = require('../game_session.js');
+
+// A session on a height x width board with exactly the given mines ("row,col" keys)
+function fixedSession(height, width, mines, options = {}) {
+    const board = new Minesweeper(height, width, mines.length, { generation: 'fixed', layout: mines, seed: 1 });
+    return new GameSession(board, options);
+}
+
+// Every event the session emits, as [name, detail] in order
+function recordEvents(session) {
+    const events = [];
+    for (const name of ['action', 'reveal', 'flag', 'status', 'win', 'lose', 'restore', 'change']) {
+        session.on(name, detail => events.push([name, detail]));
+    }
+    return events;
+}
+
+test('revealing a number opens just that cell and starts the game', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    const events = recordEvents(session);
+
+    assert.equal(session.reveal([0, 0]), true);
+    assert.deepEqual(Array.from(session.revealed), ['0,0']);
+    assert.equal(session.status, 'playing');
+    assert.deepEqual(events.map(([name]) => name), ['action', 'reveal', 'status', 'change']);
+    assert.deepEqual(events[0][1], { type: 'reveal', cell: [0, 0], source: 'human' });
+    assert.deepEqual(events[2][1], { status: 'playing', previous: 'ready' });
+
+    // Moves that don't apply are refused without any events
+    events.length = 0;
+    assert.equal(session.reveal([0, 0]), false);
+    assert.equal(session.toggleFlag([0, 0]), false);
+    assert.deepEqual(events, []);
+});
+
+test('revealing a zero opens its region, and clearing the board wins with the mines flagged', () => {
+    const session = fixedSession(3, 3, ['0,0']);
+    const events = recordEvents(session);
+
+    session.reveal([2, 2]);
+    assert.equal(session.revealed.size, 8);
+    assert.equal(session.status, 'won');
+    assert.deepEqual(Array.from(session.flags), ['0,0']);
+    assert.deepEqual(events.map(([name]) => name), ['action', 'reveal', 'flag', 'status', 'win', 'change']);
+    assert.equal(session.isOver(), true);
+    assert.equal(session.reveal([0, 0]), false);
+});
+
+test('revealing a mine loses', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    const events = recordEvents(session);
+
+    session.reveal([1, 1]);
+    assert.equal(session.status, 'lost');
+    assert.equal(session.explodedCell, '1,1');
+    assert.deepEqual(events.find(([name]) => name === 'lose')[1], { cell: [1, 1], source: 'human' });
+});
+
+test('flags toggle, block the player revealing the cell and count against the mines left', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    const events = recordEvents(session);
+
+    assert.equal(session.toggleFlag([1, 1]), true);
+    assert.equal(session.isFlagged([1, 1]), true);
+    assert.equal(session.minesLeft(), 0);
+    assert.deepEqual(events.find(([name]) => name === 'flag')[1], { cell: [1, 1], flagged: true, source: 'human' });
+    assert.equal(session.reveal([1, 1]), false);
+
+    session.toggleFlag([1, 1]);
+    assert.equal(session.isFlagged([1, 1]), false);
+    assert.equal(session.minesLeft(), 1);
+});
+
+test('chording opens the other neighbours once enough of them are flagged', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    session.reveal([0, 0]);
+    assert.equal(session.chord([0, 0]), false); // Nothing flagged yet
+
+    session.toggleFlag([1, 1]);
+    assert.deepEqual(session.cellsOpenedBy('chord', [0, 0]), [[0, 1], [1, 0]]);
+    assert.equal(session.chord([0, 0]), true);
+    assert.equal(session.isRevealed([0, 1]), true);
+    assert.equal(session.isRevealed([1, 0]), true);
+    assert.equal(session.status, 'playing');
+});
+
+test('chording around a wrong flag reveals the mine', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    session.reveal([0, 0]);
+    session.toggleFlag([0, 1]);
+
+    assert.equal(session.chord([0, 0]), true);
+    assert.equal(session.status, 'lost');
+    assert.equal(session.explodedCell, '1,1');
+});
+
+test('aiStep plays a cell the numbers prove safe', () => {
+    // The 1s at 0,0 and 1,0 share their mine, so the bottom-left cells are safe
+    const session = fixedSession(3, 3, ['0,1']);
+    session.reveal([0, 0]);
+    session.reveal([1, 0]);
+    const events = recordEvents(session);
+
+    const move = session.aiStep();
+    assert.equal(move.kind, 'safe');
+    assert.equal(move.confidence, 1);
+    assert.ok(['2,0', '2,1'].includes(move.cell.join(',')));
+    assert.equal(events.find(([name]) => name === 'reveal')[1].source, 'ai-safe');
+    assert.equal(session.status, 'playing');
+});
+
+test('restore goes back to a saved state, keeping the listeners', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    session.reveal([0, 0]);
+    const saved = session.to_json();
+    session.toggleFlag([1, 1]);
+    session.reveal([2, 2]);
+    const events = recordEvents(session);
+
+    session.restore(saved);
+    assert.deepEqual(Array.from(session.revealed), ['0,0']);
+    assert.equal(session.flags.size, 0);
+    assert.equal(session.minesLeft(), 1);
+    assert.equal(session.status, 'playing');
+    assert.deepEqual(events.map(([name]) => name), ['restore', 'change']);
+    assert.deepEqual(session.to_json(), saved);
+});
+
+test('restoring out of a finished game reports the status change', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    session.reveal([0, 0]);
+    const saved = session.to_json();
+    session.reveal([1, 1]);
+    const events = recordEvents(session);
+
+    session.restore(saved);
+    assert.equal(session.status, 'playing');
+    assert.equal(session.explodedCell, null);
+    assert.deepEqual(events[0], ['status', { status: 'playing', previous: 'lost' }]);
+});
+
+test('undoing the first reveal keeps the mines where they were placed', () => {
+    const board = new Minesweeper(9, 9, 10, { generation: 'safe-first', seed: 42 });
+    const session = new GameSession(board);
+    const saved = session.to_json();
+    session.reveal([4, 4]);
+    const mines = Array.from(session.board.mines);
+
+    session.restore(saved);
+    assert.equal(session.status, 'ready');
+    assert.equal(session.revealed.size, 0);
+    assert.deepEqual(Array.from(session.board.mines), mines);
+});
+
+test('a session rebuilt from to_json() plays on the same way', () => {
+    const board = new Minesweeper(9, 9, 10, { generation: 'safe-first', seed: 7 });
+    const session = new GameSession(board);
+    session.reveal([4, 4]);
+    const copy = GameSession.from_json(JSON.parse(JSON.stringify(session.to_json())));
+
+    assert.deepEqual(copy.to_json(), session.to_json());
+    for (let step = 0; step < 5 && !session.isOver(); step++) {
+        assert.deepEqual(copy.aiStep(), session.aiStep());
+    }
+    assert.deepEqual(copy.to_json(), session.to_json());
+});
+
+test('unknown events are rejected', () => {
+    const session = fixedSession(3, 3, ['1,1']);
+    assert.throws(() => session.on('explode', () => {}), /Unknown game session event/);
+});
+
+test('the AI only learns the revealed numbers when it is next used', () => {
+    const session = fixedSession(3, 3, ['0,1']);
+    session.reveal([0, 0]);
+    session.reveal([1, 0]);
+    assert.equal(session.to_json().ai.moves_made.length, 0);
+    assert.deepEqual(session.to_json().unobserved, ['0,0', '1,0']);
+
+    // A copy (say in a Web Worker) can be brought up to date from the snapshot instead
+    const { state, cells } = session.solverSnapshot();
+    assert.equal(state.moves_made.length, 0);
+    assert.deepEqual(cells, [[[0, 0], 1], [[1, 0], 1]]);
+
+    assert.deepEqual(Array.from(session.ai.moves_made), ['0,0', '1,0']);
+    assert.deepEqual(session.unobserved, []);
+});
+
+test('a move worked out elsewhere is played without asking the solver here', () => {
+    const session = fixedSession(3, 3, ['0,1']);
+    session.reveal([0, 0]);
+    session.reveal([1, 0]);
+    const preview = GameSession.from_json(session.to_json()).previewAiStep();
+
+    const move = session.aiStep({ proposal: preview });
+    assert.deepEqual(move.cell, preview.cell.split(',').map(Number));
+    assert.equal(session.to_json().ai.moves_made.length, 0);
+    assert.ok(session.unobserved.length >= 3);
+});
+
+test('previews choose the same guess however often they are asked', () => {
+    const session = fixedSession(2, 2, ['1,1']);
+    session.reveal([0, 0]);
+    const preview = session.previewAiStep();
+
+    assert.equal(preview.kind, 'guess');
+    assert.ok(preview.cells.includes(preview.cell));
+    assert.deepEqual(session.previewAiStep(), preview);
+    assert.deepEqual(GameSession.from_json(session.to_json()).previewAiStep(), preview);
+});
@@ -0,0 +1,140 @@
+// test/minesweeper_ai.test.js
+//
+// Known positions and what MinesweeperAI (and the enumeration solver) deduce from them,
+// so changes to the inference engine can't quietly change its answers.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Minesweeper, MinesweeperAI } = require('../minesweeper_logic.js');
+const { EnumerationSolver } = require('../solvers.js');
+const { GameSession } = require('../game_session.js');
+
+// An AI (by default a MinesweeperAI) told the numbers of the revealed cells, in the
+// order given, of a height x width board with exactly the given mines
+function learn(height, width, mines, revealed, AI = MinesweeperAI) {
+    const board = new Minesweeper(height, width, mines.length, { generation: 'fixed', layout: mines, seed: 1 });
+    const ai = new AI(height, width, mines.length, { seed: 1 });
+    for (const cellKey of revealed) {
+        const cell = cellKey.split(',').map(Number);
+        ai.add_knowledge(cell, board.nearby_mines(cell));
+    }
+    return ai;
+}
+
+// The sorted keys of the cells in cellKeys that weren't revealed
+function hiddenOnly(cellKeys, revealed) {
+    return Array.from(cellKeys).filter(cellKey => !revealed.includes(cellKey)).sort();
+}
+
+// Row 0 hidden above the numbers 1 1 2 1 1, with a row of zeros below:
+//   . * . * .
+//   1 1 2 1 1
+//   0 0 0 0 0
+const ONE_ONE_TWO = {
+    mines: ['0,1', '0,3'],
+    revealed: ['2,0', '2,1', '2,2', '2,3', '2,4', '1,0', '1,1', '1,2', '1,3', '1,4']
+};
+
+// The classic 1-2-1, with the cells beside it proven safe by the zeros below:
+//   . * . * .
+//   . 1 2 1 .
+//   0 0 0 0 0
+const ONE_TWO_ONE = {
+    mines: ['0,1', '0,3'],
+    revealed: ['2,0', '2,1', '2,2', '2,3', '2,4', '1,1', '1,2', '1,3']
+};
+
+test('the subset rule solves 1-1-2-1-1 and records why', () => {
+    const { mines, revealed } = ONE_ONE_TWO;
+    const ai = learn(3, 5, mines, revealed);
+
+    assert.deepEqual(hiddenOnly(ai.mines, revealed), ['0,1', '0,3']);
+    assert.deepEqual(hiddenOnly(ai.safes, revealed), ['0,0', '0,2', '0,4']);
+    // The 1 at 1,0 is a subset of the 1 at 1,1, leaving 0,2 with no mine
+    assert.deepEqual(ai.deductions.get('0,2').sources, ['1,0', '1,1']);
+    assert.deepEqual(ai.deductions.get('0,1'), { cells: ['0,1', '0,3'], count: 2, sources: ['1,2'] });
+    assert.equal(ai.propose().kind, 'safe');
+});
+
+test('the deductions don\'t depend on the order the numbers are learned in', () => {
+    const { mines, revealed } = ONE_ONE_TWO;
+    const forwards = learn(3, 5, mines, revealed);
+    const backwards = learn(3, 5, mines, [...revealed].reverse());
+
+    assert.deepEqual(Array.from(backwards.mines).sort(), Array.from(forwards.mines).sort());
+    assert.deepEqual(Array.from(backwards.safes).sort(), Array.from(forwards.safes).sort());
+});
+
+test('the subset rule can\'t split a 1-2-1, but the probabilities and enumeration can', () => {
+    const { mines, revealed } = ONE_TWO_ONE;
+    const ai = learn(3, 5, mines, revealed);
+    assert.deepEqual(hiddenOnly(ai.mines, revealed), []);
+    assert.deepEqual(hiddenOnly(ai.safes, revealed), ['1,0', '1,4']);
+
+    // Weighing up the arrangements settles every hidden cell
+    const probabilities = ai.mine_probabilities();
+    assert.deepEqual(hiddenOnly(probabilities.keys(), revealed), ['0,0', '0,1', '0,2', '0,3', '0,4', '1,0', '1,4']);
+    for (const [cellKey, probability] of probabilities) {
+        assert.ok(Math.abs(probability - (mines.includes(cellKey) ? 1 : 0)) < 1e-9, cellKey);
+    }
+
+    const solver = learn(3, 5, mines, revealed, EnumerationSolver);
+    assert.deepEqual(hiddenOnly(solver.known_mines(), revealed), ['0,1', '0,3']);
+    assert.deepEqual(hiddenOnly(solver.known_safes(), revealed), ['0,0', '0,2', '0,4', '1,0', '1,4']);
+});
+
+test('with nothing proven, the AI guesses among the equally risky cells', () => {
+    // A 1 in the corner of a 2x2 board: each of the other three cells is the mine
+    const ai = learn(2, 2, ['1,1'], ['0,0']);
+
+    assert.deepEqual(Array.from(ai.mine_probabilities()), [['0,1', 1 / 3], ['1,0', 1 / 3], ['1,1', 1 / 3]]);
+    assert.deepEqual(ai.propose(), { kind: 'guess', cells: ['0,1', '1,0', '1,1'], confidence: 1 - 1 / 3 });
+});
+
+test('the mine total proves the cells no number touches', () => {
+    // Both mines sit under the 2, so the far column can't hold any
+    //   * * . .
+    //   . 2 . .   (only the 2 is revealed)
+    const ai = learn(2, 4, ['0,0', '0,1'], ['1,1']);
+    const probabilities = ai.mine_probabilities();
+
+    assert.equal(probabilities.get('0,3'), 0);
+    assert.equal(probabilities.get('1,3'), 0);
+    assert.equal(ai.propose().confidence, 1);
+});
+
+test('a frontier too big to enumerate never makes an unproven cell certain', () => {
+    // Row 1 of a 6x32 board revealed, with mines in rows 0 and 2 above and below three
+    // columns in four, and four more at the start of row 5 that no number touches
+    const mines = ['5,0', '5,1', '5,2', '5,3'];
+    for (let col = 0; col < 32; col++) {
+        if (col % 4 !== 3) mines.push(`${col % 8 < 4 ? 0 : 2},${col}`);
+    }
+    const revealed = Array.from({ length: 32 }, (_, col) => `1,${col}`);
+    const ai = learn(6, 32, mines, revealed);
+
+    // The numbers alone prove a few cells, and the estimate mustn't add any more
+    assert.deepEqual(hiddenOnly(ai.safes, revealed), ['0,11', '0,23', '2,11', '2,23']);
+    for (const [cellKey, probability] of ai.mine_probabilities()) {
+        if (ai.safes.has(cellKey)) continue;
+        assert.ok(probability > 1e-9 && probability < 1 - 1e-9, `${cellKey}: ${probability}`);
+    }
+});
+
+// Expert and 100x100 boards used to stall, or overflow the stack, with the old recursive engine
+for (const [height, width, mineCount] of [[16, 30, 99], [100, 100, 2000]]) {
+    test(`plays a ${height}x${width} board with ${mineCount} mines to the end without a wrong safe move`, () => {
+        const session = new GameSession(new Minesweeper(height, width, mineCount, { generation: 'safe-first', seed: 3 }));
+        session.reveal([Math.floor(height / 2), Math.floor(width / 2)]);
+
+        let move = session.aiStep();
+        while (move !== null && !session.isOver()) {
+            move = session.aiStep();
+        }
+        assert.ok(session.isOver());
+        if (session.status === 'lost') {
+            assert.equal(move.kind, 'guess');
+        }
+    });
+}
@@ -0,0 +1,187 @@
+// topology.js
+//
+// How the cells of a board fit together: which cells neighbour each other, and where
+// each cell sits on screen. The game logic, the AI and the canvas all go through a
+// topology instead of assuming a square grid, so a new kind of board only needs a
+// class here. Cells are always addressed as [row, col].
+//
+// Pixel methods take a cell size (the width of one cell) and work in coordinates
+// relative to the top-left corner of the board.
+
+// The classic grid: every cell touches the (up to) eight cells around it
+class SquareTopology {
+    constructor(height, width) {
+        this.height = height;
+        this.width = width;
+    }
+
+    get name() {
+        return 'square';
+    }
+
+    neighbours(cell) {
+        const [ci, cj] = cell;
+        const cells = [];
+        for (let i = Math.max(0, ci - 1); i <= Math.min(this.height - 1, ci + 1); i++) {
+            for (let j = Math.max(0, cj - 1); j <= Math.min(this.width - 1, cj + 1); j++) {
+                if (i !== ci || j !== cj) {
+                    cells.push([i, j]);
+                }
+            }
+        }
+        return cells;
+    }
+
+    // Size of the whole board in pixels, as { width, height }
+    pixel_size(cell_size) {
+        return { width: this.width * cell_size, height: this.height * cell_size };
+    }
+
+    cell_center([i, j], cell_size) {
+        return { x: (j + 0.5) * cell_size, y: (i + 0.5) * cell_size };
+    }
+
+    // Add the outline of a cell to the context's current path, shrunk by inset pixels
+    trace_cell(context, [i, j], cell_size, inset = 0) {
+        context.rect(j * cell_size + inset, i * cell_size + inset, cell_size - inset * 2, cell_size - inset * 2);
+    }
+
+    // The cell containing the point (x, y), or null if it is off the board
+    cell_at(x, y, cell_size) {
+        const i = Math.floor(y / cell_size);
+        const j = Math.floor(x / cell_size);
+        if (i >= 0 && i < this.height && j >= 0 && j < this.width) {
+            return [i, j];
+        }
+        return null;
+    }
+}
+
+// A square grid whose edges wrap around, so every cell has eight neighbours: the top
+// row touches the bottom row and the left column touches the right one
+class TorusTopology extends SquareTopology {
+    get name() {
+        return 'torus';
+    }
+
+    neighbours(cell) {
+        const [ci, cj] = cell;
+        const cells = [];
+        const seen = new Set([`${ci},${cj}`]); // Narrow boards would otherwise repeat cells
+        for (let di = -1; di <= 1; di++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                const i = (ci + di + this.height) % this.height;
+                const j = (cj + dj + this.width) % this.width;
+                const cellKey = `${i},${j}`;
+                if (!seen.has(cellKey)) {
+                    seen.add(cellKey);
+                    cells.push([i, j]);
+                }
+            }
+        }
+        return cells;
+    }
+}
+
+// Pointy-topped hexagons in rows, with every odd row shifted half a cell to the right.
+// Each cell touches six others: two in its own row and two in each row beside it.
+class HexTopology extends SquareTopology {
+    get name() {
+        return 'hex';
+    }
+
+    neighbours(cell) {
+        const [ci, cj] = cell;
+        // Column offsets of the neighbours in the rows above and below
+        const shift = ci % 2 === 0 ? [-1, 0] : [0, 1];
+        const candidates = [
+            [ci, cj - 1], [ci, cj + 1],
+            [ci - 1, cj + shift[0]], [ci - 1, cj + shift[1]],
+            [ci + 1, cj + shift[0]], [ci + 1, cj + shift[1]]
+        ];
+        return candidates.filter(([i, j]) => i >= 0 && i < this.height && j >= 0 && j < this.width);
+    }
+
+    // Distance from a hexagon's centre to its corners, for hexagons cell_size wide
+    _radius(cell_size) {
+        return cell_size / Math.sqrt(3);
+    }
+
+    pixel_size(cell_size) {
+        const radius = this._radius(cell_size);
+        return {
+            width: this.width * cell_size + (this.height > 1 ? cell_size / 2 : 0),
+            height: radius * 2 + (this.height - 1) * radius * 1.5
+        };
+    }
+
+    cell_center([i, j], cell_size) {
+        const radius = this._radius(cell_size);
+        return { x: (j + 0.5 + (i % 2) * 0.5) * cell_size, y: radius + i * radius * 1.5 };
+    }
+
+    trace_cell(context, cell, cell_size, inset = 0) {
+        const { x, y } = this.cell_center(cell, cell_size);
+        // Shrinking the corners towards the centre by 2/sqrt(3) * inset moves each edge in by inset
+        const radius = this._radius(cell_size) - inset * 2 / Math.sqrt(3);
+        for (let corner = 0; corner < 6; corner++) {
+            const angle = -Math.PI / 2 + corner * Math.PI / 3; // Starting from the top corner
+            const cornerX = x + radius * Math.cos(angle);
+            const cornerY = y + radius * Math.sin(angle);
+            if (corner === 0) {
+                context.moveTo(cornerX, cornerY);
+            } else {
+                context.lineTo(cornerX, cornerY);
+            }
+        }
+        context.closePath();
+    }
+
+    // The hexagons tile the plane, so the cell containing a point is the one whose centre
+    // is nearest; only the rows either side of the point's approximate row need checking.
+    // The point must then be inside that hexagon, which rules out the margins.
+    cell_at(x, y, cell_size) {
+        const radius = this._radius(cell_size);
+        const approximateRow = Math.round((y - radius) / (radius * 1.5));
+        let best = null;
+        let bestDistance = Infinity;
+        for (let i = approximateRow - 1; i <= approximateRow + 1; i++) {
+            if (i < 0 || i >= this.height) continue;
+            const j = Math.round(x / cell_size - 0.5 - (i % 2) * 0.5);
+            for (const column of [j - 1, j, j + 1]) {
+                if (column < 0 || column >= this.width) continue;
+                const center = this.cell_center([i, column], cell_size);
+                const distance = Math.hypot(x - center.x, y - center.y);
+                if (distance < bestDistance) {
+                    best = { cell: [i, column], center };
+                    bestDistance = distance;
+                }
+            }
+        }
+        if (!best) return null;
+
+        const dx = Math.abs(x - best.center.x);
+        const dy = Math.abs(y - best.center.y);
+        if (dx > cell_size / 2 || dy > radius - dx * radius / cell_size) return null;
+        return best.cell;
+    }
+}
+
+const TOPOLOGIES = { square: SquareTopology, torus: TorusTopology, hex: HexTopology };
+const TOPOLOGY_NAMES = Object.keys(TOPOLOGIES);
+// Letters added to board codes for each topology; square boards have none, so codes
+// from before topologies existed still work
+const TOPOLOGY_CODES = { torus: 't', hex: 'h' };
+
+function createTopology(name, height, width) {
+    if (!(name in TOPOLOGIES)) {
+        throw new Error(`Unknown board topology: ${name}`);
+    }
+    return new TOPOLOGIES[name](height, width);
+}
+
+// In the browser these are plain globals loaded with a <script> tag; under Node they
+// are exported as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SquareTopology, TorusTopology, HexTopology, TOPOLOGY_NAMES, TOPOLOGY_CODES, createTopology };
+}
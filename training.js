@@ -0,0 +1,107 @@
+// training.js
+//
+// Spotting the player's avoidable mistakes, as judged by the game's MinesweeperAI, which
+// learns every revealed number as the game goes:
+//   avoidable-guess  opening a cell that isn't proven safe while some other cell is
+//   proven-mine      opening a cell the knowledge base proves is a mine
+//   safe-flag        flagging a cell the knowledge base proves is safe
+// Training mode checks each of the player's moves with findMistake() before playing it,
+// and the report after a game replays the recording through analyzeRecording().
+
+const MISTAKE_KINDS = ['avoidable-guess', 'proven-mine', 'safe-flag'];
+const MAX_MISTAKE_REASONS = 3; // Safe cells explained for an avoidable guess
+
+// What would be wrong with the player making this move (type 'reveal', 'chord' or 'flag')
+// in session, which must have an AI: { kind, type, cell, probability, safeCells, reasons },
+// or null if nothing. probability is the chance the riskiest cell opened is a mine;
+// safeCells lists the hidden cells that were proven safe instead, and reasons explains
+// up to MAX_MISTAKE_REASONS of them (see mistakeReason()).
+function findMistake(session, type, cell) {
+    const { ai } = session;
+    if (!ai || !session.board.mines_placed) return null;
+    let probabilities = null;
+    const probability = (cellKey) => {
+        if (ai.safes.has(cellKey)) return 0;
+        if (ai.mines.has(cellKey)) return 1;
+        probabilities = probabilities || ai.mine_probabilities();
+        return probabilities.get(cellKey);
+    };
+    const cellKey = `${cell[0]},${cell[1]}`;
+
+    if (type === 'flag') {
+        // Taking a flag off is never a mistake
+        if (session.isFlagged(cell) || session.isRevealed(cell) || session.isOver()) return null;
+        if (probability(cellKey) > PROBABILITY_EPSILON) return null;
+        return { kind: 'safe-flag', type, cell: cellKey, probability: 0, safeCells: [cellKey], reasons: [mistakeReason(ai, cellKey)] };
+    }
+
+    const opened = session.cellsOpenedBy(type, cell).map(([i, j]) => `${i},${j}`);
+    const risks = opened.map(probability);
+    const risk = Math.max(0, ...risks);
+    if (risk <= PROBABILITY_EPSILON) return null;
+
+    if (risk >= 1 - PROBABILITY_EPSILON) {
+        const mineKey = opened[risks.indexOf(risk)];
+        return { kind: 'proven-mine', type, cell: cellKey, probability: 1, safeCells: [], reasons: [mistakeReason(ai, mineKey)] };
+    }
+
+    probabilities = probabilities || ai.mine_probabilities();
+    const safeCells = [];
+    for (const [hiddenKey, hiddenProbability] of probabilities) {
+        if (hiddenProbability <= PROBABILITY_EPSILON && !session.revealed.has(hiddenKey)) {
+            safeCells.push(hiddenKey);
+        }
+    }
+    if (safeCells.length === 0) return null; // The guess was forced
+    // Cells the sentences settle come first, since they are the easiest to spot
+    const settled = (key) => (ai.deductions.has(key) ? 0 : 1);
+    safeCells.sort((a, b) => settled(a) - settled(b));
+    return {
+        kind: 'avoidable-guess',
+        type,
+        cell: cellKey,
+        probability: risk,
+        safeCells,
+        reasons: safeCells.slice(0, MAX_MISTAKE_REASONS).map(safeKey => mistakeReason(ai, safeKey))
+    };
+}
+
+// Why the AI knows what a cell is: { cell, verdict, deduction } where verdict is 'safe' or
+// 'mine' and deduction is the Sentence that settled it ({ cells, count, sources }, see
+// MinesweeperAI.deductions), or null if only the total mine count settles it
+function mistakeReason(ai, cellKey) {
+    return {
+        cell: cellKey,
+        verdict: ai.mines.has(cellKey) ? 'mine' : 'safe',
+        deduction: ai.deductions.get(cellKey) || null
+    };
+}
+
+// Every mistake the player made in a recording (see replay.js), in order, each with step
+// set to the number of its action (as in the replay viewer). Undone moves still count.
+// The AI judges with the solver the game was played with.
+function analyzeRecording(recording) {
+    const session = new GameSession(Minesweeper.from_json(recording.board), { solver: recording.solver || DEFAULT_SOLVER });
+    if (recording.start) {
+        // A position from the board editor: the AI learns the numbers already showing
+        for (const cellKey of recording.start.revealed) {
+            const cell = cellKey.split(',').map(Number);
+            session.ai.add_knowledge(cell, session.board.nearby_mines(cell));
+        }
+        session.restore({ board: recording.board, ai: session.ai.to_json(), ...recording.start, lost: false, explodedCell: null });
+    }
+
+    const mistakes = [];
+    let step = 0;
+    playRecording(session, recording.actions, {
+        before: (action) => {
+            step++;
+            if (action.source !== 'human' || !REPLAY_CELL_ACTIONS.includes(action.type)) return;
+            const mistake = findMistake(session, action.type, action.cell);
+            if (mistake) {
+                mistakes.push({ ...mistake, step });
+            }
+        }
+    });
+    return mistakes;
+}
@@ -0,0 +1,92 @@
+// versus.js
+//
+// A race between the player and MinesweeperAI on two copies of the same board. Both
+// copies start with the same cell already open, so neither side has to risk the
+// opening move and both begin from exactly the same position.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./minesweeper_logic.js'), require('./game_session.js'));
+}
+
+// Outcomes shown for a side on the results screen
+const VERSUS_OUTCOME_LABELS = { won: 'Cleared the board', lost: 'Hit a mine', playing: 'Unfinished' };
+
+// Set up a match on a board built from settings (as for a normal game, plus solver: the
+// strategy the AI races with, DEFAULT_SOLVER by default). Returns { player, ai, opening }:
+// two GameSessions over identical mine layouts, each with the opening cell revealed. The
+// AI side plays with the session's solver; the player's session keeps an AI too, only to
+// tell safe moves from guesses.
+function createVersusMatch(settings) {
+    const board = new Minesweeper(settings.height, settings.width, settings.mines, {
+        generation: settings.generation,
+        topology: settings.topology,
+        seed: settings.seed
+    });
+    const centre = [Math.floor(board.height / 2), Math.floor(board.width / 2)];
+    board.place_mines(centre);
+    const opening = versusOpening(board, centre);
+
+    const player = new GameSession(Minesweeper.from_json(board.to_json()), { solver: null });
+    const ai = new GameSession(Minesweeper.from_json(board.to_json()), { solver: settings.solver || DEFAULT_SOLVER });
+    player.reveal(opening);
+    ai.reveal(opening, 'ai-safe');
+    return { player, ai, opening };
+}
+
+// The safe cell nearest the centre, preferring one with no neighbouring mines so the
+// race starts with an open area. Only 'random' boards can have a mine on the centre.
+function versusOpening(board, centre) {
+    let best = null;
+    let bestScore = Infinity;
+    for (let i = 0; i < board.height; i++) {
+        for (let j = 0; j < board.width; j++) {
+            const cell = [i, j];
+            if (board.is_mine(cell)) continue;
+            const distance = Math.hypot(i - centre[0], j - centre[1]);
+            const score = distance + (board.nearby_mines(cell) > 0 ? board.height + board.width : 0);
+            if (score < bestScore) {
+                best = cell;
+                bestScore = score;
+            }
+        }
+    }
+    return best;
+}
+
+// Whether a move about to be made in session is a guess: it opens a cell that nothing
+// revealed so far proves safe. Call it before the move (e.g. from the 'action' event).
+// Flags never are; a chord is a guess if any cell it would open is.
+function isVersusGuess(session, type, cell) {
+    if (type === 'flag') return false;
+    const cells = session.cellsOpenedBy(type, cell);
+    const { ai } = session;
+    let probabilities = null;
+    return cells.some(([i, j]) => {
+        const cellKey = `${i},${j}`;
+        if (ai.safes.has(cellKey)) return false;
+        if (ai.mines.has(cellKey)) return true;
+        probabilities = probabilities || ai.mine_probabilities();
+        return probabilities.get(cellKey) > PROBABILITY_EPSILON;
+    });
+}
+
+// Decide the race from each side's { status, timeMs, revealed }. Clearing the board
+// beats not clearing it, then the faster clear wins; if neither cleared it, whoever
+// opened more cells wins. Returns 'player', 'ai' or 'draw'.
+function versusWinner(player, ai) {
+    const playerWon = player.status === 'won';
+    const aiWon = ai.status === 'won';
+    if (playerWon !== aiWon) {
+        return playerWon ? 'player' : 'ai';
+    }
+    if (playerWon) {
+        if (player.timeMs === ai.timeMs) return 'draw';
+        return player.timeMs < ai.timeMs ? 'player' : 'ai';
+    }
+    if (player.revealed === ai.revealed) return 'draw';
+    return player.revealed > ai.revealed ? 'player' : 'ai';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VERSUS_OUTCOME_LABELS, createVersusMatch, isVersusGuess, versusWinner };
+}